@@ -12,6 +12,7 @@ import { parseArgs, getHelpText, getVersion } from '../lib/args.js';
 import { initColors } from '../lib/colors.js';
 import * as logger from '../lib/logger.js';
 import { EXIT_CODES } from '../lib/constants.js';
+import { initApiContext } from '../lib/context.js';
 import { runServe } from '../commands/serve.js';
 import { runBuild } from '../commands/build.js';
 import { runInit } from '../commands/init.js';
@@ -19,6 +20,16 @@ import { runLogin } from '../commands/login.js';
 import { runLogout } from '../commands/logout.js';
 import { runWhoami } from '../commands/whoami.js';
 import { runPublish } from '../commands/publish.js';
+import { runValidate } from '../commands/validate.js';
+import { runPromote } from '../commands/promote.js';
+import { runReleases } from '../commands/releases.js';
+import { runRegistry } from '../commands/registry.js';
+import { runTokens } from '../commands/tokens.js';
+import { runUse } from '../commands/use.js';
+import { runDoctor } from '../commands/doctor.js';
+
+// Commands that talk to the store API
+const API_COMMANDS = ['login', 'logout', 'whoami', 'publish', 'promote', 'releases', 'registry', 'tokens', 'use'];
 
 // ============================================================================
 // Main Entry Point
@@ -63,6 +74,32 @@ async function main() {
     process.exit(EXIT_CODES.SUCCESS);
   }
 
+  // Select the store API, credentials and deploy token
+  if (API_COMMANDS.includes(args.command)) {
+    const context = await initApiContext({
+      command: args.command,
+      profile: args.profile,
+      authProfile: args.authProfile,
+      apiUrl: args.apiUrl,
+      registry: args.registry,
+      tokenFile: args.tokenFile,
+    });
+    if (!context.success) {
+      for (const message of context.errors || [context.error]) {
+        logger.error(message);
+      }
+      if (args.json) {
+        logger.outputJson({
+          success: false,
+          errorCode: context.errorCode,
+          error: context.error,
+          errors: context.errors,
+        });
+      }
+      process.exit(context.exitCode);
+    }
+  }
+
   // Route to command
   let result;
 
@@ -74,6 +111,8 @@ async function main() {
         qr: args.qr,
         open: args.open,
         https: args.https,
+        profile: args.profile,
+        pm: args.pm,
         extra: args.extra,
         _attempt: 0,
       });
@@ -84,6 +123,11 @@ async function main() {
         output: args.output,
         clean: args.clean,
         skipPrompts: args.skipPrompts,
+        watch: args.watch,
+        reproducible: args.reproducible,
+        list: args.list,
+        profile: args.profile,
+        pm: args.pm,
       });
       break;
 
@@ -100,15 +144,27 @@ async function main() {
       result = await runLogin({
         email: args.email,
         password: args.password,
+        web: args.web,
+        otp: args.otp,
+      });
+      break;
+
+    case 'use':
+      result = runUse({
+        profile: args.authProfileName,
       });
       break;
 
     case 'logout':
-      result = await runLogout();
+      result = await runLogout({
+        all: args.all,
+      });
       break;
 
     case 'whoami':
-      result = await runWhoami();
+      result = await runWhoami({
+        all: args.all,
+      });
       break;
 
     case 'publish':
@@ -116,6 +172,60 @@ async function main() {
         file: args.file,
         notes: args.notes,
         visibility: args.visibility,
+        channel: args.channel,
+        rollout: args.rollout,
+        profile: args.profile,
+      });
+      break;
+
+    case 'promote':
+      result = await runPromote({
+        releaseId: args.releaseId,
+        to: args.to,
+        rollout: args.rollout,
+      });
+      break;
+
+    case 'releases':
+      result = await runReleases({
+        action: args.releasesAction,
+        packageName: args.packageName,
+        releaseId: args.releaseId,
+        yes: args.yes,
+      });
+      break;
+
+    case 'registry':
+      result = runRegistry({
+        action: args.registryAction,
+        name: args.registryName,
+        url: args.registryUrl,
+        anonKey: args.anonKey,
+      });
+      break;
+
+    case 'tokens':
+      result = await runTokens({
+        action: args.tokensAction,
+        tokenId: args.tokenId,
+        name: args.tokenName,
+        scopes: args.scopes,
+        packageName: args.tokenPackage,
+        expiresInDays: args.expires,
+      });
+      break;
+
+    case 'validate':
+      result = await runValidate({
+        file: args.file,
+      });
+      break;
+
+    case 'doctor':
+      result = await runDoctor({
+        apiUrl: args.apiUrl,
+        registry: args.registry,
+        tokenFile: args.tokenFile,
       });
       break;
 
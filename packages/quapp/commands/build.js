@@ -5,13 +5,24 @@
 import fs from 'fs';
 import { rm } from 'fs/promises';
 import path from 'path';
-import { execSync } from 'child_process';
-import archiver from 'archiver';
+import { spawn } from 'child_process';
 import prompts from 'prompts';
 import * as logger from '../lib/logger.js';
-import { loadConfig, loadPackageJson, updatePackageJson, hasBuildScript } from '../lib/config.js';
-import { generateManifest, writeManifest } from '../lib/manifest.js';
-import { EXIT_CODES } from '../lib/constants.js';
+import {
+  loadConfig,
+  loadPackageJson,
+  updatePackageJson,
+  hasBuildScript,
+  getConfigErrors,
+  checkViteAvailable,
+} from '../lib/config.js';
+import { checkVersion, generateManifestFromConfig, writeManifest } from '../lib/manifest.js';
+import { writeQpp, selectFiles } from '../lib/archive.js';
+import { stopOnAbort, runCommand, quoteArg } from '../lib/process.js';
+import { createViteWatch } from '../lib/vite-watch.js';
+import { runHook, getHookEnv } from '../lib/hooks.js';
+import { detectPackageManager, getRunCommand } from '../lib/package-manager.js';
+import { EXIT_CODES, PACKAGE_NAME_PATTERN } from '../lib/constants.js';
 
 /**
  * Prompt for missing package.json fields
@@ -59,59 +70,499 @@ async function promptMissingFields(pkg, missing) {
 }
 
 /**
- * Compress directory to .qpp file
- * @param {string} sourceDir - Directory to compress
- * @param {string} outputPath - Output file path
- * @returns {Promise<Object>} Result with file size
+ * Format bytes to human readable string
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Format a size difference with an explicit sign
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSizeDelta(bytes) {
+  if (bytes === 0) return '±0 B';
+  return `${bytes > 0 ? '+' : '-'}${formatSize(Math.abs(bytes))}`;
+}
+
+/**
+ * Print the files that would be packaged (--list)
+ * @param {Object[]} files - From selectFiles()
+ * @param {string[]} excluded - From selectFiles()
+ * @param {string} outputFile - .qpp file name
+ */
+function printFileList(files, excluded, outputFile) {
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  const width = Math.max(...files.map((file) => formatSize(file.size).length));
+
+  logger.step('📄', `Files in ${outputFile}:`);
+  for (const file of files) {
+    logger.info(`  ${formatSize(file.size).padStart(width)}  ${file.path}`);
+  }
+  logger.newline();
+  logger.info(`${files.length} files, ${formatSize(totalSize)} before compression`);
+  if (excluded.length > 0) {
+    logger.info(`Excluded ${excluded.length}: ${excluded.join(', ')}`);
+  }
+}
+
+/**
+ * Check that build.include / build.exclude keep the entry point
+ * @param {Object[]} files - From selectFiles()
+ * @param {Object} manifest
+ * @returns {Object|null} Failure result, or null when the entry point is packaged
+ */
+function checkEntryPointIncluded(files, manifest) {
+  if (files.some((file) => file.path === manifest.entry_point)) return null;
+
+  logger.error(`Entry point "${manifest.entry_point}" is excluded by build.include / build.exclude`);
+  return {
+    success: false,
+    errorCode: 'ENTRY_POINT_EXCLUDED',
+    error: `Entry point excluded: ${manifest.entry_point}`,
+    suggestion: 'Change "build.include" or "build.exclude" in quapp.config.json',
+    exitCode: EXIT_CODES.CONFIG_ERROR,
+  };
+}
+
+/**
+ * Generate manifest.json into the build output and package it as .qpp
+ * Runs the prepackage and postbuild hooks around compression. With `list`,
+ * stops after prepackage and reports the files that would be compressed;
+ * the .qpp is not written and postbuild does not run.
+ * @param {Object} params
+ * @param {string} params.cwd - Project root
+ * @param {Object} params.pkg - Package.json content
+ * @param {Object} params.config - Merged quapp config
+ * @param {string} params.distDir - Build output directory
+ * @param {string} params.outputFile - .qpp file name (for messages)
+ * @param {string} params.outputPath - Absolute .qpp path
+ * @param {boolean} [params.reproducible] - Create a deterministic archive
+ * @param {number|null} [params.previousSize] - Size of the previous .qpp, to print a delta
+ * @param {boolean} [params.list] - Print the files that would be packaged instead of creating the .qpp
+ * @returns {Promise<Object>} { success, manifest, size, sha256 } ({ success, manifest, files,
+ *   excluded } with list) or a failure result
+ */
+async function packageDist({
+  cwd,
+  pkg,
+  config,
+  distDir,
+  outputFile,
+  outputPath,
+  reproducible = false,
+  previousSize = null,
+  list = false,
+}) {
+  // Step 3: Generate and write manifest
+  logger.step('📋', 'Generating manifest...');
+  
+  let manifest;
+  try {
+    manifest = generateManifestFromConfig(pkg, config.manifest);
+  } catch (err) {
+    logger.error(err.message);
+    return {
+      success: false,
+      errorCode: 'INVALID_VERSION',
+      error: err.message,
+      suggestion: 'Set "manifest.versionCode" in quapp.config.json',
+      exitCode: EXIT_CODES.CONFIG_ERROR,
+    };
+  }
+
+  if (!PACKAGE_NAME_PATTERN.test(manifest.package_name)) {
+    logger.error(`Generated package_name "${manifest.package_name}" is not valid for publishing`);
+    logger.info('Pin it in quapp.config.json: "manifest": { "packageName": "com.company.app" }');
+    return {
+      success: false,
+      errorCode: 'INVALID_PACKAGE_NAME',
+      error: `Invalid package_name: ${manifest.package_name}`,
+      suggestion: 'Set "manifest.packageName" in quapp.config.json',
+      exitCode: EXIT_CODES.CONFIG_ERROR,
+    };
+  }
+
+  if (!fs.existsSync(path.join(distDir, manifest.entry_point))) {
+    logger.error(`Entry point "${manifest.entry_point}" not found in "${config.build.outDir}"`);
+    return {
+      success: false,
+      errorCode: 'ENTRY_POINT_NOT_FOUND',
+      error: `Entry point not found: ${manifest.entry_point}`,
+      suggestion: 'Set "manifest.entryPoint" in quapp.config.json to the built HTML file',
+      exitCode: EXIT_CODES.BUILD_FAILED,
+    };
+  }
+
+  const manifestResult = writeManifest(distDir, manifest);
+  
+  if (!manifestResult.success) {
+    logger.error(manifestResult.error);
+    return { success: false, error: manifestResult.error, exitCode: EXIT_CODES.GENERAL_ERROR };
+  }
+  
+  logger.success('Manifest created');
+  logger.debug(`Package: ${manifest.package_name}`);
+  logger.debug(`Version: ${manifest.version} (code: ${manifest.version_code})`);
+  logger.debug(`Permissions: ${manifest.permissions.join(', ') || 'none'}`);
+
+  const prepackageFailure = runHook('prepackage', {
+    cwd,
+    config,
+    vars: getHookEnv({ config, distDir, outputPath, manifest }),
+  });
+  if (prepackageFailure) return prepackageFailure;
+
+  // After prepackage, which may add or remove files
+  const { files, excluded, symlinks } = selectFiles(distDir, config.build);
+  if (excluded.length > 0) {
+    logger.debug(`Excluded from ${outputFile}: ${excluded.join(', ')}`);
+  }
+  if (symlinks.length > 0) {
+    logger.warn(`Symlinks are not packaged: ${symlinks.join(', ')}`);
+  }
+
+  const entryFailure = checkEntryPointIncluded(files, manifest);
+  if (entryFailure) return entryFailure;
+
+  if (list) {
+    printFileList(files, excluded, outputFile);
+    return { success: true, manifest, files, excluded };
+  }
+
+  // Step 4: Compress to .qpp
+  logger.step('🗜️', `Compressing to ${outputFile}...`);
+
+  let size, sha256;
+  try {
+    ({ size, sha256 } = await writeQpp(distDir, outputPath, {
+      files: files.map((file) => file.path),
+      reproducible,
+    }));
+  } catch (err) {
+    logger.error(`Failed to create ${outputFile}: ${err.message}`);
+    return { success: false, error: 'Compression failed', exitCode: EXIT_CODES.GENERAL_ERROR };
+  }
+
+  const delta = previousSize === null ? '' : `, ${formatSizeDelta(size - previousSize)}`;
+  logger.success(`Created ${outputFile} (${formatSize(size)}${delta})`);
+  logger.info(`  SHA-256: ${sha256}${reproducible ? ' (reproducible)' : ''}`);
+
+  // Runs before the build output is cleaned up, e.g. to upload sourcemaps
+  const postbuildFailure = runHook('postbuild', {
+    cwd,
+    config,
+    vars: getHookEnv({ config, distDir, outputPath, manifest, qpp: { size, sha256 } }),
+  });
+  if (postbuildFailure) return postbuildFailure;
+
+  return { success: true, manifest, size, sha256 };
+}
+
+/**
+ * Run `vite build --watch` and re-package the .qpp after every rebuild
+ * @param {Object} params
+ * @param {string} params.cwd - Project root
+ * @param {Object} params.pkg - Package.json content
+ * @param {Object} params.config - Merged quapp config
+ * @param {string} params.distDir - Build output directory
+ * @param {string} params.outputFile - .qpp file name
+ * @param {string} params.outputPath - Absolute .qpp path
+ * @param {boolean} params.reproducible - Create deterministic archives
+ * @param {Object} params.packageManager - From detectPackageManager()
+ * @param {AbortSignal} [params.signal] - Stops the watcher when aborted
+ * @returns {Promise<Object>} Result once the watcher exits
  */
-async function compressToQpp(sourceDir, outputPath) {
-  return new Promise((resolve, reject) => {
-    const output = fs.createWriteStream(outputPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-
-    output.on('close', () => {
-      resolve({
-        success: true,
-        size: archive.pointer(),
-        path: outputPath,
+async function watchBuild({
+  cwd,
+  pkg,
+  config,
+  distDir,
+  outputFile,
+  outputPath,
+  reproducible,
+  packageManager,
+  signal,
+}) {
+  // Watch mode runs Vite itself, so a custom build command would be silently skipped
+  if (config.build.command) {
+    logger.error('build.command is not supported with --watch');
+    logger.info('Watch mode runs "vite build --watch" directly. Remove build.command or build without --watch.');
+    return {
+      success: false,
+      errorCode: 'WATCH_UNSUPPORTED',
+      error: 'build.command cannot be used with --watch',
+      suggestion: 'Remove "build.command" from quapp.config.json (or the selected profile) to use --watch',
+      exitCode: EXIT_CODES.CONFIG_ERROR,
+    };
+  }
+
+  const vite = checkViteAvailable(cwd);
+
+  if (!vite.available) {
+    logger.error('Vite is not installed');
+    logger.info(vite.hint);
+    return { success: false, error: 'Vite not found', exitCode: EXIT_CODES.MISSING_DEPENDENCY };
+  }
+
+  // Once, before the watcher starts; prepackage and postbuild run on every rebuild
+  const prebuildFailure = runHook('prebuild', {
+    cwd,
+    config,
+    vars: getHookEnv({ config, distDir, outputPath }),
+  });
+  if (prebuildFailure) return prebuildFailure;
+
+  logger.step('👀', `Watching for changes (output: ${outputFile})...`);
+  logger.info('Press Ctrl+C to stop');
+  logger.newline();
+
+  // Reports finished rebuilds (see lib/vite-watch.js)
+  const viteWatch = createViteWatch(cwd);
+
+  // Same invocation as serve: the package manager's exec avoids path issues with spaces
+  const viteArgs = ['vite', 'build', '--watch', '--config', viteWatch.configPath, '--outDir', config.build.outDir];
+  if (config.mode) {
+    viteArgs.push('--mode', config.mode);
+  }
+
+  // shell: true joins the arguments unquoted
+  const viteProcess = spawn(packageManager.exec, viteArgs.map(quoteArg), {
+    cwd,
+    // QUAPP_BUILD: the quapp/vite plugin leaves packaging to this command
+    env: { ...process.env, ...config.env, QUAPP_BUILD: '1' },
+    stdio: [logger.isEmbedded() ? 'ignore' : 'inherit', 'pipe', 'pipe'],
+    shell: true,
+    // Own process group, so aborting the signal stops Vite too
+    detached: !!signal && process.platform !== 'win32',
+  });
+  stopOnAbort(viteProcess, signal);
+
+  // Ctrl+C also reaches Vite; wait for it to exit so the watch files are removed
+  const onInterrupt = () => logger.debug('Stopping watcher...');
+  if (!logger.isEmbedded()) {
+    process.on('SIGINT', onInterrupt);
+  }
+
+  let builds = 0;
+  let previousSize = null;
+  let packaging = Promise.resolve();
+
+  const repackage = async () => {
+    if (!fs.existsSync(distDir)) {
+      logger.error(`Build output directory "${config.build.outDir}" not found`);
+      return;
+    }
+    viteWatch.lock();
+    try {
+      const result = await packageDist({
+        cwd,
+        pkg,
+        config,
+        distDir,
+        outputFile,
+        outputPath,
+        reproducible,
+        previousSize,
       });
-    });
+      if (result.success) {
+        builds++;
+        previousSize = result.size;
+        logger.newline();
+      }
+    } finally {
+      viteWatch.unlock();
+    }
+  };
+
+  viteWatch.onBuild(() => {
+    packaging = packaging.then(repackage);
+  });
 
-    archive.on('error', (err) => {
-      reject(err);
+  viteProcess.stdout.on('data', (data) => {
+    logger.output(data);
+  });
+
+  viteProcess.stderr.on('data', (data) => {
+    logger.output(data, 'stderr');
+  });
+
+  return new Promise((resolve) => {
+    viteProcess.on('close', async (code) => {
+      await packaging;
+      viteWatch.close();
+      process.off('SIGINT', onInterrupt);
+      // Ctrl+C or an aborted signal ends the watcher with a signal, which is a normal way to stop
+      if (code !== 0 && code !== null) {
+        resolve({
+          success: false,
+          error: `Watcher exited with code ${code}`,
+          exitCode: EXIT_CODES.BUILD_FAILED,
+        });
+      } else {
+        resolve({
+          success: true,
+          watch: true,
+          profile: config.profile,
+          builds,
+          packageManager: packageManager.name,
+          outputFile,
+          outputPath,
+        });
+      }
     });
 
-    archive.pipe(output);
-    archive.directory(sourceDir, false);
-    archive.finalize();
+    viteProcess.on('error', (err) => {
+      viteWatch.close();
+      process.off('SIGINT', onInterrupt);
+      logger.error(`Failed to start watcher: ${err.message}`);
+      resolve({ success: false, error: err.message, exitCode: EXIT_CODES.GENERAL_ERROR });
+    });
   });
 }
 
 /**
- * Format bytes to human readable string
- * @param {number} bytes
- * @returns {string}
+ * Run the prebuild hook and the build command or script
+ * @param {Object} params
+ * @param {string} params.cwd - Project root
+ * @param {Object} params.pkg - Package.json content
+ * @param {Object} params.config - Merged quapp config
+ * @param {string} params.distDir - Build output directory
+ * @param {string} params.outputPath - Absolute .qpp path
+ * @param {Object} params.packageManager - From detectPackageManager()
+ * @returns {Object|null} Failure result, or null when the build succeeded
  */
-function formatSize(bytes) {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+function buildApp({ cwd, pkg, config, distDir, outputPath, packageManager }) {
+  // Check for build script (not needed when build.command replaces it)
+  if (!config.build.command && !hasBuildScript(pkg)) {
+    logger.error('No "build" script found in package.json');
+    logger.info('Add a build script to your package.json, e.g.: "build": "vite build"');
+    return { 
+      success: false, 
+      errorCode: 'NO_BUILD_SCRIPT',
+      error: 'No build script', 
+      suggestion: 'Add to package.json: "scripts": { "build": "vite build" }',
+      exitCode: EXIT_CODES.CONFIG_ERROR 
+    };
+  }
+
+  const buildVars = getHookEnv({ config, distDir, outputPath });
+  const prebuildFailure = runHook('prebuild', { cwd, config, vars: buildVars });
+  if (prebuildFailure) return prebuildFailure;
+
+  // Step 1: Run build
+  logger.step('📦', 'Building for production...');
+
+  try {
+    // build.command runs as written; the build script gets the profile's mode for Vite
+    const buildCommand = config.build.command ||
+      getRunCommand(packageManager, 'build', config.mode ? ['--mode', config.mode] : []);
+    logger.debug(`Running: ${buildCommand}`);
+    runCommand(buildCommand, {
+      cwd,
+      env: { ...process.env, ...config.env, ...buildVars, QUAPP_BUILD: '1' },
+    });
+    logger.success('Build completed');
+  } catch (err) {
+    logger.error('Build failed');
+    return { success: false, error: 'Build failed', exitCode: EXIT_CODES.BUILD_FAILED };
+  }
+
+  return null;
+}
+
+/**
+ * Build the app and package (or list) its output
+ * @param {Object} params - See buildApp() and packageDist()
+ * @returns {Promise<Object>} Result of packageDist() or a failure result
+ */
+async function buildAndPackage(params) {
+  const buildFailure = buildApp(params);
+  if (buildFailure) return buildFailure;
+
+  // Step 2: Verify dist folder exists
+  if (!fs.existsSync(params.distDir)) {
+    logger.error(`Build output directory "${params.config.build.outDir}" not found`);
+    logger.info('Make sure your build script outputs to the correct directory');
+    return { success: false, error: 'Build output not found', exitCode: EXIT_CODES.BUILD_FAILED };
+  }
+
+  // Steps 3-4: Generate manifest and compress to .qpp (or list its files)
+  return packageDist(params);
+}
+
+/**
+ * Run a task that builds into the output directory, then remove what it built
+ * An existing output directory is moved aside first and put back afterwards,
+ * so `--list` neither reads nor leaves behind a stale build.
+ * @param {string} distDir - Build output directory
+ * @param {function(): Promise<Object>} task
+ * @returns {Promise<Object>} Result of the task
+ */
+async function withScratchOutput(distDir, task) {
+  const setAside = fs.existsSync(distDir) ? `${distDir}.quapp-list-${process.pid}` : null;
+  if (setAside) fs.renameSync(distDir, setAside);
+  try {
+    return await task();
+  } finally {
+    await rm(distDir, { recursive: true, force: true });
+    if (setAside) fs.renameSync(setAside, distDir);
+  }
 }
 
 /**
  * Run the build command
  * @param {Object} options - Command options
+ * @param {string} [options.cwd] - Project root (default: process.cwd())
+ * @param {Object} [options.config] - Config merged over quapp.config.* (Node API)
+ * @param {AbortSignal} [options.signal] - Stops --watch when aborted
+ * @param {boolean} [options.list] - Print the files that would be packaged instead of writing the .qpp
  * @returns {Promise<Object>} Result
  */
 export async function runBuild(options = {}) {
-  const cwd = process.cwd();
+  const cwd = options.cwd || process.cwd();
   const startTime = Date.now();
 
   // Load config
-  const { config, configError } = loadConfig(cwd);
-  
-  if (configError) {
-    logger.warn(configError);
+  const loaded = await loadConfig(cwd, {
+    profile: options.profile,
+    command: 'build',
+    overrides: options.config,
+  });
+  const { config, profileError } = loaded;
+
+  if (profileError) {
+    logger.error(profileError);
+    return {
+      success: false,
+      errorCode: 'UNKNOWN_PROFILE',
+      error: profileError,
+      exitCode: EXIT_CODES.CONFIG_ERROR,
+    };
+  }
+
+  const configErrors = getConfigErrors(loaded);
+  if (configErrors.length > 0) {
+    for (const message of configErrors) {
+      logger.error(message);
+    }
+    return {
+      success: false,
+      errorCode: 'INVALID_CONFIG',
+      error: configErrors[0],
+      errors: configErrors,
+      suggestion: 'Fix the reported fields in quapp.config.json',
+      exitCode: EXIT_CODES.CONFIG_ERROR,
+    };
+  }
+
+  if (config.profile) {
+    logger.info(`Using profile: ${config.profile}`);
   }
 
   // Load package.json
@@ -173,16 +624,16 @@ export async function runBuild(options = {}) {
     }
   }
 
-  // Check for build script
-  if (!hasBuildScript(pkg)) {
-    logger.error('No "build" script found in package.json');
-    logger.info('Add a build script to your package.json, e.g.: "build": "vite build"');
-    return { 
-      success: false, 
-      errorCode: 'NO_BUILD_SCRIPT',
-      error: 'No build script', 
-      suggestion: 'Add to package.json: "scripts": { "build": "vite build" }',
-      exitCode: EXIT_CODES.CONFIG_ERROR 
+  // Checked before building: the store rejects prerelease versions
+  const versionError = checkVersion(pkg.version);
+  if (versionError) {
+    logger.error(versionError);
+    return {
+      success: false,
+      errorCode: 'INVALID_VERSION',
+      error: versionError,
+      suggestion: 'Set "version" in package.json to a release version such as 1.2.0',
+      exitCode: EXIT_CODES.CONFIG_ERROR,
     };
   }
 
@@ -195,55 +646,53 @@ export async function runBuild(options = {}) {
   }
   const outputPath = path.join(cwd, outputFile);
 
-  // Step 1: Run build
-  logger.step('📦', 'Building for production...');
-  
-  try {
-    execSync('npm run build', { 
-      cwd, 
-      stdio: logger.isJsonMode() ? 'pipe' : 'inherit' 
-    });
-    logger.success('Build completed');
-  } catch (err) {
-    logger.error('Build failed');
-    return { success: false, error: 'Build failed', exitCode: EXIT_CODES.BUILD_FAILED };
-  }
+  // Reproducible archives: opt in via flag/config, or implied by SOURCE_DATE_EPOCH
+  const reproducible =
+    options.reproducible || config.build.reproducible === true || !!process.env.SOURCE_DATE_EPOCH;
 
-  // Step 2: Verify dist folder exists
-  if (!fs.existsSync(distDir)) {
-    logger.error(`Build output directory "${config.build.outDir}" not found`);
-    logger.info('Make sure your build script outputs to the correct directory');
-    return { success: false, error: 'Build output not found', exitCode: EXIT_CODES.BUILD_FAILED };
-  }
+  const packageManager = detectPackageManager(cwd, {
+    preferred: options.pm,
+    configured: config.packageManager,
+  });
+  logger.debug(`Package manager: ${packageManager.name} (from ${packageManager.source})`);
 
-  // Step 3: Generate and write manifest
-  logger.step('📋', 'Generating manifest...');
-  
-  const manifest = generateManifest(pkg);
-  const manifestResult = writeManifest(distDir, manifest);
-  
-  if (!manifestResult.success) {
-    logger.error(manifestResult.error);
-    return { success: false, error: manifestResult.error, exitCode: EXIT_CODES.GENERAL_ERROR };
+  // Watch mode drives vite directly and re-packages on every rebuild
+  if (options.watch) {
+    return watchBuild({
+      cwd,
+      pkg,
+      config,
+      distDir,
+      outputFile,
+      outputPath,
+      reproducible,
+      packageManager,
+      signal: options.signal,
+    });
   }
-  
-  logger.success('Manifest created');
-  logger.debug(`Package: ${manifest.package_name}`);
-  logger.debug(`Version: ${manifest.version} (code: ${manifest.version_code})`);
 
-  // Step 4: Compress to .qpp
-  logger.step('🗜️', `Compressing to ${outputFile}...`);
-  
-  try {
-    const compressResult = await compressToQpp(distDir, outputPath);
-    logger.success(`Created ${outputFile} (${formatSize(compressResult.size)})`);
-  } catch (err) {
-    logger.error(`Failed to create ${outputFile}: ${err.message}`);
-    return { success: false, error: 'Compression failed', exitCode: EXIT_CODES.GENERAL_ERROR };
+  const buildParams = {
+    cwd,
+    pkg,
+    config,
+    distDir,
+    outputFile,
+    outputPath,
+    reproducible,
+    packageManager,
+    list: options.list,
+  };
+  // --list runs the real build and prepackage, so it shows what a new .qpp would hold
+  const packResult = options.list
+    ? await withScratchOutput(distDir, () => buildAndPackage(buildParams))
+    : await buildAndPackage(buildParams);
+  if (!packResult.success) {
+    return packResult;
   }
+  const { manifest, sha256 } = packResult;
 
-  // Step 5: Clean up dist folder
-  if (options.clean !== false) {
+  // Step 5: Clean up dist folder (--list has already removed its build)
+  if (options.clean !== false && !options.list) {
     try {
       await rm(distDir, { recursive: true, force: true });
       logger.debug('Cleaned up dist folder');
@@ -254,6 +703,23 @@ export async function runBuild(options = {}) {
 
   // Done
   const duration = Date.now() - startTime;
+
+  if (options.list) {
+    return {
+      success: true,
+      list: true,
+      outputFile,
+      outputPath,
+      profile: config.profile,
+      manifest,
+      files: packResult.files,
+      excluded: packResult.excluded,
+      totalSize: packResult.files.reduce((sum, file) => sum + file.size, 0),
+      packageManager: packageManager.name,
+      duration,
+    };
+  }
+
   logger.newline();
   logger.success(`Build complete in ${(duration / 1000).toFixed(1)}s`);
 
@@ -261,7 +727,11 @@ export async function runBuild(options = {}) {
     success: true,
     outputFile,
     outputPath,
+    profile: config.profile,
     manifest,
+    sha256,
+    reproducible,
+    packageManager: packageManager.name,
     duration,
   };
 }
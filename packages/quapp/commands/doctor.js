@@ -0,0 +1,492 @@
+/**
+ * Doctor command - Diagnose the environment and project setup
+ *
+ * Runs every check even when an earlier one fails, so a single run shows
+ * why `serve`, `build` or `publish` would not work. Each check reports
+ * pass, warn or fail with a suggested fix.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as logger from '../lib/logger.js';
+import * as colors from '../lib/colors.js';
+import { EXIT_CODES } from '../lib/constants.js';
+import {
+  loadConfig,
+  getConfigErrors,
+  loadPackageJson,
+  checkViteAvailable,
+  hasBuildScript,
+} from '../lib/config.js';
+import { getIP } from '../lib/network.js';
+import { initApi, getApi, apiPost } from '../lib/api.js';
+import {
+  initCredentialStore,
+  setAuthProfile,
+  getAuthProfile,
+  setTokenFile,
+  getDeployToken,
+  readCredentials,
+  createSupabaseClient,
+} from '../lib/credentials.js';
+
+const API_TIMEOUT_MS = 5000;
+const VITE_CONFIG_FILES = ['vite.config.js', 'vite.config.mjs', 'vite.config.cjs', 'vite.config.ts', 'vite.config.mts'];
+const STATUS_ICONS = {
+  pass: () => colors.green('✔'),
+  warn: () => colors.yellow('⚠'),
+  fail: () => colors.red('✖'),
+};
+
+/**
+ * Build a check result
+ * @param {string} id - Stable identifier for --json consumers
+ * @param {string} name - Label shown in the table
+ * @param {string} status - 'pass' | 'warn' | 'fail'
+ * @param {string} message
+ * @param {string|null} [fix] - Suggested fix
+ * @returns {Object}
+ */
+function result(id, name, status, message, fix = null) {
+  return { id, name, status, message, fix };
+}
+
+// ---------------------------------------------------------------------------
+// Version ranges (the subset used in "engines": >=, <, ^, ~, x, ||)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a possibly partial version ("18", "18.2", "v18.2.0", "18.x")
+ * @param {string} value
+ * @returns {Object|null} { parts: [major, minor, patch], specified } or null
+ */
+function parseVersion(value) {
+  const match = value.replace(/^v/, '').match(/^(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:[-+].*)?$/);
+  if (!match) return null;
+  const raw = match.slice(1, 4);
+  const specified = raw.findIndex((p) => p === undefined || p === 'x' || p === '*');
+  return {
+    parts: raw.map((p) => (/^\d+$/.test(p ?? '') ? Number(p) : 0)),
+    specified: specified === -1 ? 3 : specified,
+  };
+}
+
+/**
+ * Compare the first n parts of two versions
+ * @returns {number} -1, 0 or 1
+ */
+function compareParts(a, b, n = 3) {
+  for (let i = 0; i < n; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Check a version against a semver range
+ * @param {string} version - e.g. process.versions.node
+ * @param {string} range - e.g. ">=18.0.0" or "^18 || ^20"
+ * @returns {boolean|null} null when the range uses unsupported syntax
+ */
+function satisfiesRange(version, range) {
+  const current = parseVersion(version).parts;
+  const normalized = range.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1');
+  if (normalized === '' || normalized === '*') return true;
+
+  let supported = true;
+  const matches = normalized.split('||').some((set) =>
+    set.trim().split(/\s+/).every((comparator) => {
+      const [, op = '', value] = comparator.match(/^(>=|<=|>|<|=|\^|~)?(.*)$/);
+      const target = parseVersion(value);
+      if (!target) {
+        supported = false;
+        return false;
+      }
+      const cmp = compareParts(current, target.parts);
+      switch (op) {
+        case '>=': return cmp >= 0;
+        case '>': return cmp > 0;
+        case '<=': return cmp <= 0;
+        case '<': return cmp < 0;
+        case '^': return cmp >= 0 && compareParts(current, target.parts, target.parts[0] > 0 ? 1 : 2) === 0;
+        case '~': return cmp >= 0 && compareParts(current, target.parts, Math.min(target.specified, 2)) === 0;
+        default: return compareParts(current, target.parts, target.specified) === 0;
+      }
+    })
+  );
+  return supported ? matches : null;
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Node.js version against the engines of quapp and of the project
+ * @param {Object|null} pkg - Project package.json
+ * @returns {Object} Check result
+ */
+function checkNode(pkg) {
+  const version = process.versions.node;
+  const cliPkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+  const cliRange = cliPkg.engines?.node;
+
+  if (cliRange && satisfiesRange(version, cliRange) === false) {
+    return result('node', 'Node.js', 'fail', `v${version} is not supported (quapp requires ${cliRange})`,
+      `Install Node.js ${cliRange} from https://nodejs.org or with your version manager`);
+  }
+
+  const projectRange = pkg?.engines?.node;
+  if (projectRange) {
+    const ok = satisfiesRange(version, projectRange);
+    if (ok === false) {
+      return result('node', 'Node.js', 'warn', `v${version} does not match the project's engines.node "${projectRange}"`,
+        `Switch to a Node.js version matching "${projectRange}"`);
+    }
+    if (ok === null) {
+      return result('node', 'Node.js', 'warn', `v${version}; could not check engines.node "${projectRange}"`);
+    }
+  }
+
+  return result('node', 'Node.js', 'pass', `v${version}` + (cliRange ? ` (quapp requires ${cliRange})` : ''));
+}
+
+/**
+ * package.json presence and required fields
+ * @param {Object} pkgResult - Result of loadPackageJson()
+ * @returns {Object} Check result
+ */
+function checkPackageJson(pkgResult) {
+  if (!pkgResult.success) {
+    return result('package_json', 'package.json', 'fail', pkgResult.error,
+      'Run quapp in your project root, or create a project with "npm create quapp"');
+  }
+
+  const { package: pkg, missingFields } = pkgResult;
+  if (missingFields.includes('name')) {
+    return result('package_json', 'package.json', 'fail', 'Missing required field "name"',
+      'Add "name" to package.json');
+  }
+  const missing = [...missingFields, ...(pkg.author ? [] : ['author'])];
+  if (missing.length > 0) {
+    return result('package_json', 'package.json', 'warn', `Missing ${missing.map((f) => `"${f}"`).join(', ')}`,
+      'Add the missing fields to package.json; "quapp build" otherwise asks for them or uses defaults');
+  }
+
+  return result('package_json', 'package.json', 'pass', `${pkg.name}@${pkg.version}`);
+}
+
+/**
+ * "build" script used by quapp build, unless build.command replaces it
+ * @param {Object} pkg - Project package.json
+ * @param {Object} config - Merged quapp config
+ * @returns {Object} Check result
+ */
+function checkBuildScript(pkg, config) {
+  if (config.build.command) {
+    return result('build_script', 'Build script', 'pass', `build.command: "${config.build.command}"`);
+  }
+  if (!hasBuildScript(pkg)) {
+    return result('build_script', 'Build script', 'fail', 'No "build" script in package.json',
+      'Add to package.json: "scripts": { "build": "vite build" }');
+  }
+  return result('build_script', 'Build script', 'pass', `"${pkg.scripts.build}"`);
+}
+
+/**
+ * Vite installed in the project
+ * @param {string} cwd
+ * @returns {Object} Check result
+ */
+function checkVite(cwd) {
+  const vite = checkViteAvailable(cwd);
+  if (!vite.available) {
+    return result('vite', 'Vite', 'fail', 'Vite is not installed', vite.hint);
+  }
+
+  let version = null;
+  try {
+    version = JSON.parse(fs.readFileSync(path.join(cwd, 'node_modules', 'vite', 'package.json'), 'utf-8')).version;
+  } catch {
+    // binary without a readable package.json; still usable
+  }
+  if (version && satisfiesRange(version, '>=4.0.0') === false) {
+    return result('vite', 'Vite', 'warn', `v${version} is older than the supported >=4.0.0`,
+      'Run "npm install vite@latest --save-dev"');
+  }
+  return result('vite', 'Vite', 'pass', version ? `v${version}` : vite.path);
+}
+
+/**
+ * Project config syntax, schema and fields
+ * @param {Object} loaded - Result of loadConfig()
+ * @returns {Object} Check result
+ */
+function checkConfig(loaded) {
+  const name = loaded.configFile || 'quapp.config.json';
+
+  if (loaded.configError) {
+    return {
+      ...result('config', name, 'fail', loaded.configError,
+        loaded.configErrorLocation
+          ? 'Fix the JSON syntax, or run "quapp init --force" to recreate the file'
+          : `Fix the error in ${name}`),
+      location: loaded.configErrorLocation,
+    };
+  }
+  if (!loaded.configLoaded) {
+    return result('config', name, 'pass', 'Not found, using defaults');
+  }
+
+  const errors = getConfigErrors(loaded);
+  if (errors.length > 0) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    return {
+      ...result('config', name, 'fail', errors[0] + more, `Fix the reported fields in ${name}`),
+      errors,
+    };
+  }
+  return result('config', name, 'pass', 'Valid');
+}
+
+/**
+ * Find the outDir set in vite.config.*, if it is a plain string literal
+ * @param {string} cwd
+ * @returns {Object|null} { file, outDir }
+ */
+function findViteOutDir(cwd) {
+  for (const file of VITE_CONFIG_FILES) {
+    const filePath = path.join(cwd, file);
+    if (!fs.existsSync(filePath)) continue;
+    const match = fs.readFileSync(filePath, 'utf-8').match(/outDir\s*:\s*(['"`])([^'"`]+)\1/);
+    return match ? { file, outDir: match[2] } : null;
+  }
+  return null;
+}
+
+/**
+ * build.outDir points inside the project and matches vite.config
+ * @param {string} cwd
+ * @param {Object} config - Merged quapp config
+ * @param {string} configName - Config file to suggest fixes in
+ * @returns {Object} Check result
+ */
+function checkOutDir(cwd, config, configName) {
+  const { outDir } = config.build;
+  if (typeof outDir !== 'string' || outDir.trim() === '') {
+    return result('out_dir', 'Output dir', 'fail', '"build.outDir" must be a non-empty string',
+      `Set "build": { "outDir": "dist" } in ${configName}`);
+  }
+
+  const relative = path.relative(cwd, path.join(cwd, outDir));
+  if (path.isAbsolute(outDir) || relative === '' || relative.split(path.sep)[0] === '..') {
+    return result('out_dir', 'Output dir', 'fail', `"build.outDir" must be a folder inside the project, got "${outDir}"`,
+      'Use a relative path such as "dist"');
+  }
+
+  const vite = findViteOutDir(cwd);
+  if (vite && path.normalize(vite.outDir) !== path.normalize(outDir)) {
+    return result('out_dir', 'Output dir', 'warn', `${vite.file} builds to "${vite.outDir}" but quapp packages "${outDir}"`,
+      `Set "build": { "outDir": "${vite.outDir}" } in ${configName}`);
+  }
+
+  const built = fs.existsSync(path.join(cwd, outDir));
+  return result('out_dir', 'Output dir', 'pass', `${outDir}/` + (built ? '' : ' (not built yet)'));
+}
+
+/**
+ * A LAN address that phones can reach `quapp serve` on
+ * @param {Object} config - Merged quapp config
+ * @returns {Object} Check result
+ */
+function checkNetwork(config) {
+  if (config.server.network !== 'private') {
+    return result('network', 'LAN access', 'pass', `Disabled (server.network: "${config.server.network}")`);
+  }
+  const ip = getIP('private');
+  if (ip === 'localhost') {
+    return result('network', 'LAN access', 'warn', 'No LAN interface found; devices cannot reach "quapp serve"',
+      'Connect to the same Wi-Fi or Ethernet network as your phone');
+  }
+  return result('network', 'LAN access', 'pass', ip);
+}
+
+/**
+ * Store API reachable
+ * @param {string|null} setupError - Error from selecting the API, if any
+ * @returns {Promise<Object>} Check result
+ */
+async function checkApi(setupError) {
+  if (setupError) {
+    return result('api', 'Store API', 'fail', setupError, 'Run "quapp registry list" to see the configured registries');
+  }
+
+  const api = getApi();
+  const started = Date.now();
+  try {
+    const res = await fetch(`${api.url}/auth/v1/health`, {
+      headers: { apikey: api.anonKey },
+      signal: AbortSignal.timeout(API_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+      return result('api', 'Store API', 'fail', `${api.url} answered HTTP ${res.status}`,
+        'Check the URL and anon key of the selected registry ("quapp registry list")');
+    }
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? `no answer within ${API_TIMEOUT_MS / 1000}s` : (err.cause?.code || err.message);
+    return result('api', 'Store API', 'fail', `${api.url} is unreachable (${reason})`,
+      'Check your internet connection, proxy settings or the selected registry');
+  }
+  return result('api', 'Store API', 'pass', `${api.url} (${Date.now() - started} ms)`);
+}
+
+/**
+ * Stored login or deploy token, verified against the store when it is reachable
+ * @param {boolean} apiReachable
+ * @returns {Promise<Object>} Check result
+ */
+async function checkCredentials(apiReachable) {
+  let deploy;
+  try {
+    initCredentialStore();
+    deploy = getDeployToken();
+  } catch (err) {
+    return result('credentials', 'Login', 'fail', err.message,
+      'Fix QUAPP_CREDENTIAL_STORE or --token-file, or unset them');
+  }
+
+  if (deploy) {
+    if (!apiReachable) {
+      return result('credentials', 'Login', 'warn', `Deploy token from ${deploy.source}, not verified (store API unreachable)`);
+    }
+    try {
+      const info = await apiPost('get-token-info', {}, deploy.token);
+      const name = info.token?.name || info.token?.id || 'deploy token';
+      return result('credentials', 'Login', 'pass', `Deploy token "${name}" from ${deploy.source}`);
+    } catch (err) {
+      return result('credentials', 'Login', 'fail', `Deploy token from ${deploy.source} was rejected: ${err.message}`,
+        'Create a new one with "quapp tokens create" and update QUAPP_TOKEN');
+    }
+  }
+
+  const profile = getAuthProfile();
+  const creds = readCredentials();
+  if (!creds) {
+    return result('credentials', 'Login', 'warn', `Not logged in (profile: ${profile})`,
+      'Run "quapp login" before publishing');
+  }
+  if (!apiReachable) {
+    return result('credentials', 'Login', 'warn', `${creds.user_email}, not verified (store API unreachable)`);
+  }
+
+  // Read-only: refreshing would rotate the refresh token, and a failed refresh deletes the session
+  const minutes = Math.round(((creds.expires_at || 0) - Date.now() / 1000) / 60);
+  if (minutes <= 1) {
+    if (!creds.refresh_token) {
+      return result('credentials', 'Login', 'fail', `Session of ${creds.user_email} expired`,
+        'Run "quapp login" again');
+    }
+    return result('credentials', 'Login', 'warn',
+      `${creds.user_email} (profile: ${profile}), access token expired; the next command refreshes it`,
+      'Run "quapp whoami" to refresh and check the session');
+  }
+
+  const token = creds.access_token;
+  let error;
+  try {
+    ({ error } = await createSupabaseClient(token).auth.getUser(token));
+  } catch (err) {
+    return result('credentials', 'Login', 'warn', `${creds.user_email}, could not verify the session: ${err.message}`);
+  }
+  if (error) {
+    return result('credentials', 'Login', 'fail', `Session of ${creds.user_email} was rejected: ${error.message}`,
+      'Run "quapp login" again');
+  }
+
+  const label = `${creds.user_email} (profile: ${profile}, token valid for ${minutes} min, refreshed automatically)`;
+  if (!creds.has_developer_profile) {
+    return result('credentials', 'Login', 'warn', `${label}; no developer profile`,
+      'Create a developer profile at the Developer Portal before publishing');
+  }
+  return result('credentials', 'Login', 'pass', label);
+}
+
+// ---------------------------------------------------------------------------
+// Command
+// ---------------------------------------------------------------------------
+
+/**
+ * Print the checks as a table
+ * @param {Object[]} checks
+ */
+function printTable(checks) {
+  const width = Math.max(...checks.map((c) => c.name.length)) + 2;
+
+  logger.newline();
+  logger.info(colors.boldBlue('Quapp Doctor'));
+  logger.newline();
+  for (const check of checks) {
+    logger.info(`  ${STATUS_ICONS[check.status]()} ${check.name.padEnd(width)}${check.message}`);
+    if (check.fix) {
+      logger.info(`    ${' '.repeat(width)}${colors.dim(`→ ${check.fix}`)}`);
+    }
+  }
+  logger.newline();
+}
+
+/**
+ * Run the doctor command
+ * @param {Object} options
+ * @param {string|null} [options.apiUrl] - Store API from --api-url
+ * @param {string|null} [options.registry] - Registry from --registry
+ * @param {string|null} [options.tokenFile] - Deploy token file from --token-file
+ * @returns {Promise<Object>} Result object
+ */
+export async function runDoctor({ apiUrl = null, registry = null, tokenFile = null } = {}) {
+  const cwd = process.cwd();
+  const pkgResult = loadPackageJson(cwd);
+  const pkg = pkgResult.success ? pkgResult.package : null;
+  const loaded = await loadConfig(cwd, { command: 'doctor' });
+
+  const checks = [checkNode(pkg), checkPackageJson(pkgResult)];
+  if (pkg) checks.push(checkBuildScript(pkg, loaded.config));
+  checks.push(
+    checkVite(cwd),
+    checkConfig(loaded),
+    checkOutDir(cwd, loaded.config, loaded.configFile || 'quapp.config.json'),
+    checkNetwork(loaded.config)
+  );
+
+  // Same API and auth selection as the store commands, but reported instead of fatal
+  let setupError = null;
+  try {
+    initApi({ apiUrl, registry, config: loaded.config });
+  } catch (err) {
+    setupError = err.message;
+  }
+  setAuthProfile(loaded.config.authProfile);
+  setTokenFile(tokenFile);
+
+  const api = await checkApi(setupError);
+  checks.push(api, await checkCredentials(api.status === 'pass'));
+
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  for (const check of checks) summary[check.status]++;
+
+  printTable(checks);
+  if (summary.fail > 0) {
+    logger.error(`${summary.fail} check(s) failed, ${summary.warn} warning(s)`);
+  } else if (summary.warn > 0) {
+    logger.warn(`No problems found, ${summary.warn} warning(s)`);
+  } else {
+    logger.success('All checks passed');
+  }
+  logger.newline();
+
+  return {
+    success: summary.fail === 0,
+    checks,
+    summary,
+    ...(summary.fail > 0 ? { exitCode: EXIT_CODES.GENERAL_ERROR } : {}),
+  };
+}
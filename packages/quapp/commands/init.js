@@ -6,12 +6,13 @@ import fs from 'fs';
 import path from 'path';
 import prompts from 'prompts';
 import * as logger from '../lib/logger.js';
-import { EXIT_CODES } from '../lib/constants.js';
+import { EXIT_CODES, CONFIG_FILES, CONFIG_SCHEMA_REF } from '../lib/constants.js';
 
 /**
  * Default quapp.config.json content
  */
 const DEFAULT_QUAPP_CONFIG = {
+  $schema: CONFIG_SCHEMA_REF,
   server: {
     port: 5173,
     qr: true,
@@ -70,7 +71,10 @@ export async function runInit(options = {}) {
   }
 
   // Check if already initialized
-  const hasQuappConfig = fs.existsSync(configPath);
+  // quapp.config.js/.mjs/.ts count too; --force only rewrites quapp.config.json
+  const existingConfig = CONFIG_FILES.find((name) => fs.existsSync(path.join(cwd, name)));
+  const hasQuappConfig = !!existingConfig;
+  const writeConfig = !hasQuappConfig || (options.force && existingConfig === 'quapp.config.json');
   const hasQuappDep = pkg.devDependencies?.quapp || pkg.dependencies?.quapp;
   const hasQuappScripts = pkg.scripts?.dev?.includes('quapp') || pkg.scripts?.qbuild?.includes('quapp');
 
@@ -86,7 +90,7 @@ export async function runInit(options = {}) {
   // Dry run mode
   if (options.dryRun) {
     const changes = {
-      createConfig: !hasQuappConfig,
+      createConfig: writeConfig,
       addScripts: !hasQuappScripts,
       addDependency: !hasQuappDep,
     };
@@ -123,7 +127,7 @@ export async function runInit(options = {}) {
   const changes = [];
 
   // Step 1: Create quapp.config.json
-  if (!hasQuappConfig || options.force) {
+  if (writeConfig) {
     try {
       fs.writeFileSync(configPath, JSON.stringify(DEFAULT_QUAPP_CONFIG, null, 2) + '\n');
       logger.success('Created quapp.config.json');
@@ -1,26 +1,197 @@
 /**
  * Login command - Sign in to Quapp developer account
  *
- * Supports interactive prompts (default) and non-interactive
- * mode via --email and --password flags.
+ * Supports interactive prompts (default), non-interactive
+ * mode via --email and --password flags, and a browser-based
+ * device login via --web (OAuth accounts, MFA).
+ * Accounts with two-factor authentication are asked for a TOTP
+ * code (or --otp) and the elevated (aal2) session is stored.
  */
 
 import prompts from 'prompts';
 import * as logger from '../lib/logger.js';
 import * as colors from '../lib/colors.js';
+import { DEFAULT_AUTH_PROFILE, EXIT_CODES } from '../lib/constants.js';
 import {
   createSupabaseClient,
   writeCredentials,
+  getAuthProfile,
+  getAssuranceLevel,
 } from '../lib/credentials.js';
+import { requestDeviceCode, waitForApproval } from '../lib/device-auth.js';
+
+/**
+ * Look up the developer profile, store the session and report the result
+ * @param {Object} session - { access_token, refresh_token, expires_at }
+ * @param {Object} user - { id, email }
+ * @returns {Promise<Object>} Result object
+ */
+async function completeLogin(session, user) {
+  const supabase = createSupabaseClient(session.access_token);
+
+  // Check for developer profile
+  const { data: profile } = await supabase
+    .schema('developer')
+    .from('profiles')
+    .select('id, display_name, slug, status')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  // Save credentials
+  writeCredentials({
+    access_token: session.access_token,
+    refresh_token: session.refresh_token,
+    expires_at: session.expires_at,
+    user_email: user.email,
+    user_id: user.id,
+    has_developer_profile: !!profile,
+    developer_display_name: profile?.display_name || null,
+    developer_slug: profile?.slug || null,
+  });
+
+  // Output
+  const authProfile = getAuthProfile();
+  logger.success(
+    `Logged in as ${colors.bold(user.email)}` +
+      (authProfile !== DEFAULT_AUTH_PROFILE ? ` ${colors.dim(`(profile: ${authProfile})`)}` : '')
+  );
+
+  if (profile) {
+    logger.info(`  Developer: ${colors.bold(profile.display_name)} ${colors.dim(`(${profile.slug})`)}`);
+  } else {
+    logger.newline();
+    logger.warn('No developer profile found.');
+    logger.info('  Create one at the Developer Portal before publishing.');
+  }
+
+  logger.newline();
+
+  return {
+    success: true,
+    authProfile,
+    assuranceLevel: getAssuranceLevel(session.access_token),
+    email: user.email,
+    userId: user.id,
+    hasProfile: !!profile,
+    developerName: profile?.display_name || null,
+    developerSlug: profile?.slug || null,
+  };
+}
+
+/**
+ * Complete a pending TOTP challenge after a password sign-in
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Signed-in client
+ * @param {string|null} otp - Code from --otp (prompted when missing)
+ * @returns {Promise<Object|null>} Elevated session, or null when no MFA is required
+ * @throws {Error} With code 'mfa_required' when no code is available, or the verify error
+ */
+async function verifyMfa(supabase, otp) {
+  const { data: aal, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+  if (error) throw error;
+  if (aal.nextLevel !== 'aal2' || aal.currentLevel === 'aal2') return null;
+
+  const { data: factors, error: factorsError } = await supabase.auth.mfa.listFactors();
+  if (factorsError) throw factorsError;
+  const factor = factors.totp[0];
+  if (!factor) {
+    throw new Error('Two-factor authentication is required but no authenticator app is enrolled');
+  }
+
+  let code = otp;
+  if (!code && !logger.isJsonMode()) {
+    const answers = await prompts({
+      type: 'text',
+      name: 'code',
+      message: 'Authenticator code:',
+      validate: (v) => (/^\d{6}$/.test(v.trim()) ? true : 'Enter the 6-digit code'),
+    });
+    code = answers.code?.trim();
+  }
+  if (!code) {
+    throw Object.assign(
+      new Error('Two-factor authentication is enabled. Pass the 6-digit code with --otp <code>'),
+      { code: 'mfa_required' }
+    );
+  }
+
+  const { error: verifyError } = await supabase.auth.mfa.challengeAndVerify({
+    factorId: factor.id,
+    code,
+  });
+  if (verifyError) throw verifyError;
+
+  const { data } = await supabase.auth.getSession();
+  return data.session;
+}
+
+/**
+ * Sign in through the browser with a device code
+ * @returns {Promise<Object>} Result object
+ */
+async function loginWithBrowser() {
+  let device;
+  try {
+    device = await requestDeviceCode();
+  } catch (err) {
+    logger.error(`Could not start browser login: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+
+  logger.event('device_code', {
+    userCode: device.userCode,
+    verificationUri: device.verificationUri,
+    verificationUriComplete: device.verificationUriComplete,
+    expiresIn: device.expiresIn,
+  });
+
+  if (!logger.isJsonMode()) {
+    logger.newline();
+    logger.info(colors.boldBlue('Quapp Login'));
+    logger.newline();
+    logger.info(`  Open ${colors.cyan(device.verificationUri)} and enter the code:`);
+    logger.newline();
+    logger.info(`    ${colors.bold(device.userCode)}`);
+    logger.newline();
+  }
+
+  try {
+    const open = await import('open');
+    await open.default(device.verificationUriComplete);
+  } catch (err) {
+    logger.debug(`Failed to open browser: ${err.message}`);
+  }
+
+  if (!logger.isJsonMode()) {
+    logger.info(colors.dim('Waiting for approval in the browser...'));
+  }
+
+  let approved;
+  try {
+    approved = await waitForApproval(device);
+  } catch (err) {
+    logger.error(`Login failed: ${err.message}`);
+    return {
+      success: false,
+      error: err.code || err.message,
+      exitCode: EXIT_CODES.AUTH_REQUIRED,
+    };
+  }
+
+  return completeLogin(approved.session, approved.user);
+}
 
 /**
  * Run the login command
  * @param {Object} options
  * @param {string|null} options.email - Email from --email flag
  * @param {string|null} options.password - Password from --password flag
+ * @param {boolean} [options.web] - Sign in through the browser (--web)
+ * @param {string|null} [options.otp] - TOTP code for two-factor accounts (--otp)
  * @returns {Promise<Object>} Result object
  */
-export async function runLogin({ email, password }) {
+export async function runLogin({ email, password, web = false, otp = null }) {
+  if (web) return loginWithBrowser();
+
   let inputEmail = email;
   let inputPassword = password;
 
@@ -85,48 +256,17 @@ export async function runLogin({ email, password }) {
     return { success: false, error: error.message };
   }
 
-  const session = data.session;
-  const user = data.user;
-
-  // Check for developer profile
-  const { data: profile } = await supabase
-    .schema('developer')
-    .from('profiles')
-    .select('id, display_name, slug, status')
-    .eq('user_id', user.id)
-    .maybeSingle();
-
-  // Save credentials
-  writeCredentials({
-    access_token: session.access_token,
-    refresh_token: session.refresh_token,
-    expires_at: session.expires_at,
-    user_email: user.email,
-    user_id: user.id,
-    has_developer_profile: !!profile,
-    developer_display_name: profile?.display_name || null,
-    developer_slug: profile?.slug || null,
-  });
-
-  // Output
-  logger.success(`Logged in as ${colors.bold(user.email)}`);
-
-  if (profile) {
-    logger.info(`  Developer: ${colors.bold(profile.display_name)} ${colors.dim(`(${profile.slug})`)}`);
-  } else {
-    logger.newline();
-    logger.warn('No developer profile found.');
-    logger.info('  Create one at the Developer Portal before publishing.');
+  let session = data.session;
+  try {
+    session = (await verifyMfa(supabase, otp)) || session;
+  } catch (err) {
+    logger.error(`Login failed: ${err.message}`);
+    return {
+      success: false,
+      error: err.code || err.message,
+      exitCode: EXIT_CODES.AUTH_REQUIRED,
+    };
   }
 
-  logger.newline();
-
-  return {
-    success: true,
-    email: user.email,
-    userId: user.id,
-    hasProfile: !!profile,
-    developerName: profile?.display_name || null,
-    developerSlug: profile?.slug || null,
-  };
+  return completeLogin(session, data.user);
 }
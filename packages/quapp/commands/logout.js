@@ -1,38 +1,106 @@
 /**
  * Logout command - Sign out and remove stored credentials
+ *
+ * Revokes the session on the server before deleting it locally.
+ * --all revokes every session of the account (all devices).
+ * Local credentials are removed even when the server cannot be reached.
  */
 
 import * as logger from '../lib/logger.js';
+import * as colors from '../lib/colors.js';
 import {
   readCredentials,
   deleteCredentials,
-  createSupabaseClient,
+  getDeployToken,
+  getAuthProfile,
+  getSessionToken,
 } from '../lib/credentials.js';
+import { getApi } from '../lib/api.js';
+
+/**
+ * Remind that a deploy token is unaffected by logout
+ */
+function warnDeployToken() {
+  const deploy = getDeployToken();
+  if (deploy) {
+    logger.warn(`A deploy token is still set (${deploy.source}). Revoke it with "quapp tokens revoke <id>".`);
+    logger.newline();
+  }
+}
+
+/**
+ * Revoke the stored session on the server
+ * @param {string} scope - 'local' (this session) or 'global' (every session of the account)
+ * @returns {Promise<string|null>} Error message, or null when the server revoked the session
+ */
+async function revokeSession(scope) {
+  let token;
+  try {
+    // Refreshes an expired access token so the server accepts the request
+    token = await getSessionToken();
+  } catch (err) {
+    return err.message;
+  }
+  if (!token) return 'session expired and could not be refreshed';
+
+  // Called directly: auth-js prints a stack trace when the server is unreachable
+  const api = getApi();
+  try {
+    const res = await fetch(`${api.url}/auth/v1/logout?scope=${scope}`, {
+      method: 'POST',
+      headers: { apikey: api.anonKey, Authorization: `Bearer ${token}` },
+    });
+    // 401/404: the session no longer exists on the server
+    if (res.ok || res.status === 401 || res.status === 404) return null;
+    const body = await res.json().catch(() => ({}));
+    return body.msg || body.message || `HTTP ${res.status}`;
+  } catch (err) {
+    return err.cause?.code || err.message;
+  }
+}
 
 /**
  * Run the logout command
+ * @param {Object} options
+ * @param {boolean} [options.all] - Sign out every session of the account (--all)
  * @returns {Promise<Object>} Result object
  */
-export async function runLogout() {
+export async function runLogout({ all = false } = {}) {
+  const authProfile = getAuthProfile();
+  const scope = all ? 'global' : 'local';
   const creds = readCredentials();
 
   if (!creds) {
     logger.info('Already logged out.');
     logger.newline();
-    return { success: true, alreadyLoggedOut: true };
-  }
-
-  // Best-effort server-side sign out
-  try {
-    const supabase = createSupabaseClient(creds.access_token);
-    await supabase.auth.signOut();
-  } catch {
-    // ignore -- delete local credentials regardless
+    warnDeployToken();
+    return { success: true, alreadyLoggedOut: true, authProfile, scope, remoteRevoked: false };
   }
 
+  const remoteError = await revokeSession(scope);
   deleteCredentials();
-  logger.success('Logged out successfully.');
+
+  logger.success(
+    (all ? 'Logged out of all sessions. ' : 'Logged out successfully. ') +
+      colors.dim(`(profile: ${authProfile})`)
+  );
+  if (remoteError) {
+    logger.warn(`Could not revoke the session on the server: ${remoteError}`);
+    logger.info(
+      all
+        ? '  Local credentials were removed. Other sessions stay valid until they expire; run "quapp login" and "quapp logout --all" to retry.'
+        : '  Local credentials were removed. The session stays valid on the server until it expires.'
+    );
+  }
   logger.newline();
+  warnDeployToken();
 
-  return { success: true };
+  return {
+    success: true,
+    authProfile,
+    scope,
+    remoteRevoked: !remoteError,
+    remoteError,
+    localCleared: true,
+  };
 }
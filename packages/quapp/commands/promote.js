@@ -0,0 +1,86 @@
+/**
+ * Promote command - Move a published release to another channel
+ *
+ * Typical flow: publish to beta for testers, then promote the same
+ * release to stable, optionally as a staged rollout.
+ */
+
+import * as logger from '../lib/logger.js';
+import * as colors from '../lib/colors.js';
+import { EXIT_CODES } from '../lib/constants.js';
+import { getValidToken } from '../lib/credentials.js';
+import { apiPost } from '../lib/api.js';
+
+/**
+ * Run the promote command
+ * @param {Object} options
+ * @param {string|null} options.releaseId - Release to promote
+ * @param {string|null} options.to - Target channel: beta | stable
+ * @param {number|null} options.rollout - Rollout percentage on the target channel (1-100)
+ * @returns {Promise<Object>} Result object
+ */
+export async function runPromote({ releaseId, to, rollout }) {
+  if (!releaseId) {
+    logger.error('Missing release ID. Usage: quapp promote <release-id> --to stable');
+    logger.newline();
+    return { success: false, error: 'missing_release_id', exitCode: EXIT_CODES.INVALID_ARGS };
+  }
+
+  const channel = to || 'stable';
+  const rolloutPercentage = rollout ?? null;
+
+  // ---- 1. Auth check ----
+
+  const token = await getValidToken();
+  if (!token) {
+    logger.error('Not logged in. Run "quapp login" first.');
+    logger.newline();
+    return {
+      success: false,
+      error: 'not_logged_in',
+      exitCode: EXIT_CODES.AUTH_REQUIRED,
+    };
+  }
+
+  // ---- 2. Promote release ----
+
+  if (!logger.isJsonMode()) {
+    logger.info(colors.dim(`Promoting release to ${channel}...`));
+  }
+
+  try {
+    const result = await apiPost(
+      'promote-release',
+      {
+        release_id: releaseId,
+        channel,
+        ...(rolloutPercentage !== null ? { rollout_percentage: rolloutPercentage } : {}),
+      },
+      token
+    );
+
+    const finalRollout = result.rollout_percentage ?? rolloutPercentage ?? 100;
+
+    logger.newline();
+    logger.success(`Promoted to ${colors.bold(result.channel || channel)}`);
+    logger.newline();
+    logger.info(`  ${colors.bold('Release:')} ${result.release_id || releaseId}`);
+    if (result.version) {
+      logger.info(`  ${colors.bold('Version:')} ${result.version}`);
+    }
+    logger.info(`  ${colors.bold('Rollout:')} ${finalRollout}%`);
+    logger.newline();
+
+    return {
+      success: true,
+      releaseId: result.release_id || releaseId,
+      channel: result.channel || channel,
+      version: result.version || null,
+      rolloutPercentage: finalRollout,
+    };
+  } catch (err) {
+    logger.error(`Promote failed: ${err.message}`);
+    logger.newline();
+    return { success: false, error: err.message };
+  }
+}
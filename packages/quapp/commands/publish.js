@@ -1,141 +1,108 @@
 /**
  * Publish command - Upload and publish a .qpp file to the Quapp Store
  *
- * Flow: validate file -> read manifest -> get presigned URL ->
- *       upload to S3 -> publish release via Edge Function
+ * Flow: validate file -> read manifest -> get presigned URL(s) ->
+ *       stream upload to S3 (single PUT or multipart) ->
+ *       publish release via Edge Function
  */
 
 import fs from 'fs';
 import path from 'path';
-import AdmZip from 'adm-zip';
 import * as logger from '../lib/logger.js';
 import * as colors from '../lib/colors.js';
-import {
-  EXIT_CODES,
-  SUPABASE_URL,
-  MAX_QPP_FILE_SIZE,
-} from '../lib/constants.js';
+import { EXIT_CODES, MAX_QPP_FILE_SIZE } from '../lib/constants.js';
+import { loadConfig, getConfigErrors } from '../lib/config.js';
 import {
   readCredentials,
   getValidToken,
+  getDeployToken,
+  getAuthProfile,
+  hasAuthProfile,
 } from '../lib/credentials.js';
+import { inspectQpp, hashFile } from '../lib/archive.js';
+import { apiPost } from '../lib/api.js';
+import {
+  uploadSingle,
+  uploadMultipart,
+  readUploadState,
+  clearUploadState,
+} from '../lib/upload.js';
 
 // ---------------------------------------------------------------------------
-// Manifest reading from .qpp ZIP
+// Publish command
 // ---------------------------------------------------------------------------
 
 /**
- * Extract and validate manifest.json from a .qpp ZIP archive
- * @param {string} filePath - Absolute path to .qpp file
- * @returns {Object} { manifest, fileCount } or throws
+ * Run the publish command
+ * @param {Object} options
+ * @param {string|null} options.file - Path to .qpp file (default: build.outputFile from config)
+ * @param {string|null} options.notes - Release notes
+ * @param {string|null} options.visibility - public | unlisted | private
+ * @param {string|null} options.channel - Release channel: beta | stable
+ * @param {number|null} options.rollout - Staged rollout percentage (1-100)
+ * @param {string|null} options.profile - Config profile to apply (the auth profile is selected by initApiContext)
+ * @param {string} [options.cwd] - Project root (default: process.cwd())
+ * @param {Object} [options.config] - Config merged over quapp.config.* (Node API)
+ * @returns {Promise<Object>} Result object
  */
-function readManifestFromZip(filePath) {
-  const zip = new AdmZip(filePath);
-  const entry = zip.getEntry('manifest.json');
-
-  if (!entry) {
-    const nested = zip
-      .getEntries()
-      .find(
-        (e) =>
-          e.entryName.endsWith('/manifest.json') &&
-          e.entryName.split('/').length === 2
-      );
-    if (nested) {
-      const folder = nested.entryName.split('/')[0];
-      throw new Error(
-        `manifest.json found inside "${folder}/" folder. ` +
-          'It should be at the root of the ZIP. Rebuild with: quapp build'
-      );
-    }
-    throw new Error(
-      'manifest.json not found in .qpp file. Rebuild with: quapp build'
-    );
-  }
-
-  const raw = entry.getData().toString('utf-8');
-  let manifest;
-  try {
-    manifest = JSON.parse(raw);
-  } catch {
-    throw new Error('Invalid JSON in manifest.json');
-  }
-
-  // Validate required fields
-  const required = ['package_name', 'version', 'version_code', 'entry_point'];
-  for (const field of required) {
-    if (manifest[field] === undefined || manifest[field] === null) {
-      throw new Error(`Missing required manifest field: ${field}`);
+export async function runPublish({
+  file,
+  notes,
+  visibility,
+  channel,
+  rollout,
+  profile,
+  cwd = process.cwd(),
+  config: overrides = null,
+}) {
+  const loaded = await loadConfig(cwd, { profile, command: 'publish', overrides });
+  const { config, profileError } = loaded;
+
+  if (profileError) {
+    logger.error(profileError);
+    if (hasAuthProfile(profile)) {
+      logger.info(`  To publish as auth profile "${profile}", use: quapp publish --auth-profile ${profile}`);
     }
+    logger.newline();
+    return {
+      success: false,
+      errorCode: 'UNKNOWN_PROFILE',
+      error: profileError,
+      exitCode: EXIT_CODES.CONFIG_ERROR,
+    };
   }
 
-  if (!/^[a-z][a-z0-9]*(?:\.[a-z][a-z0-9]*){2,}$/.test(manifest.package_name)) {
-    throw new Error(
-      'Invalid package_name format. Must be lowercase with 3+ segments (e.g., com.company.app)'
-    );
-  }
-
-  if (!/^\d+\.\d+\.\d+$/.test(manifest.version)) {
-    throw new Error('Invalid version format. Must be semver (e.g., 1.0.0)');
-  }
-
-  if (typeof manifest.version_code !== 'number' || manifest.version_code < 1) {
-    throw new Error('version_code must be a positive integer');
-  }
-
-  if (!zip.getEntry(manifest.entry_point)) {
-    throw new Error(`Entry point not found in archive: ${manifest.entry_point}`);
+  let defaultFile = config.build.outputFile;
+  if (!defaultFile.endsWith('.qpp')) {
+    defaultFile = `${defaultFile}.qpp`;
   }
 
-  const fileCount = zip.getEntries().filter((e) => !e.isDirectory).length;
-
-  return { manifest, fileCount };
-}
-
-// ---------------------------------------------------------------------------
-// API helper
-// ---------------------------------------------------------------------------
+  const filePath = path.resolve(cwd, file || defaultFile);
+  const releaseNotes = notes || null;
 
-/**
- * POST to a Supabase Edge Function
- * @param {string} endpoint - Function name (e.g. 'get-upload-url')
- * @param {Object} body - Request body
- * @param {string} token - Bearer token
- * @returns {Promise<Object>} Response JSON
- */
-async function apiPost(endpoint, body, token) {
-  const res = await fetch(`${SUPABASE_URL}/functions/v1/${endpoint}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${token}`,
-    },
-    body: JSON.stringify(body),
-  });
-
-  const json = await res.json();
-  if (!res.ok || json.error) {
-    throw new Error(json.message || json.error || `API error: ${res.status}`);
+  // Never fall back to the defaults here: a broken file would turn
+  // "visibility": "unlisted" into a public release
+  const configErrors = getConfigErrors(loaded);
+  if (configErrors.length > 0) {
+    for (const message of configErrors) {
+      logger.error(message);
+    }
+    logger.newline();
+    return {
+      success: false,
+      errorCode: 'INVALID_CONFIG',
+      error: configErrors[0],
+      errors: configErrors,
+      suggestion: 'Fix quapp.config.json before publishing',
+      exitCode: EXIT_CODES.CONFIG_ERROR,
+    };
   }
-  return json;
-}
 
-// ---------------------------------------------------------------------------
-// Publish command
-// ---------------------------------------------------------------------------
+  const vis = visibility || config.publish.visibility || 'public';
+  const releaseChannel = channel || config.publish.channel || 'stable';
 
-/**
- * Run the publish command
- * @param {Object} options
- * @param {string|null} options.file - Path to .qpp file (default: ./dist.qpp)
- * @param {string|null} options.notes - Release notes
- * @param {string|null} options.visibility - public | unlisted | private
- * @returns {Promise<Object>} Result object
- */
-export async function runPublish({ file, notes, visibility }) {
-  const filePath = path.resolve(file || './dist.qpp');
-  const releaseNotes = notes || null;
-  const vis = visibility || 'public';
+  // null means a full rollout (the server default)
+  const rolloutPercentage = rollout ?? config.publish.rollout ?? null;
 
   // ---- 1. Auth check ----
 
@@ -146,7 +113,7 @@ export async function runPublish({ file, notes, visibility }) {
 
   const token = await getValidToken();
   if (!token) {
-    logger.error('Not logged in. Run "quapp login" first.');
+    logger.error('Not logged in. Run "quapp login" first, or set QUAPP_TOKEN to a deploy token.');
     logger.newline();
     return {
       success: false,
@@ -155,7 +122,8 @@ export async function runPublish({ file, notes, visibility }) {
     };
   }
 
-  const creds = readCredentials();
+  // Deploy tokens are checked by the store; only a login session carries the profile flag
+  const creds = getDeployToken() ? null : readCredentials();
   if (creds && !creds.has_developer_profile) {
     logger.error('No developer profile found.');
     logger.info('Create one at the Developer Portal before publishing.');
@@ -196,15 +164,22 @@ export async function runPublish({ file, notes, visibility }) {
     logger.info(colors.dim('Reading manifest...'));
   }
 
-  let manifest, fileCount;
-  try {
-    ({ manifest, fileCount } = readManifestFromZip(filePath));
-  } catch (err) {
-    logger.error(err.message);
+  const report = inspectQpp(filePath);
+  if (!report.valid) {
+    for (const message of report.errors) {
+      logger.error(message);
+    }
+    logger.info('Run "quapp validate" for a full report.');
     logger.newline();
-    return { success: false, error: err.message };
+    return { success: false, error: report.errors[0], errors: report.errors };
+  }
+
+  for (const message of report.warnings) {
+    logger.warn(message);
   }
 
+  const { manifest, fileCount } = report;
+
   logger.newline();
   logger.info(colors.boldBlue('Publishing'));
   logger.info(`  Package:    ${colors.bold(manifest.package_name)}`);
@@ -212,6 +187,13 @@ export async function runPublish({ file, notes, visibility }) {
   logger.info(`  Files:      ${fileCount}`);
   logger.info(`  Size:       ${(stat.size / 1024).toFixed(1)} KB`);
   logger.info(`  Visibility: ${vis}`);
+  logger.info(`  Channel:    ${releaseChannel}`);
+  if (rolloutPercentage !== null) {
+    logger.info(`  Rollout:    ${rolloutPercentage}%`);
+  }
+  if (config.profile) {
+    logger.info(`  Profile:    ${config.profile}`);
+  }
   logger.newline();
 
   // ---- 4. Get presigned upload URL ----
@@ -220,7 +202,11 @@ export async function runPublish({ file, notes, visibility }) {
     logger.info(colors.dim('Requesting upload URL...'));
   }
 
-  let uploadUrl, s3Key;
+  // A previous interrupted multipart upload of the same file can be resumed
+  const fileHash = await hashFile(filePath);
+  const resumeState = readUploadState(fileHash);
+
+  let uploadUrl, s3Key, multipart;
   try {
     const result = await apiPost(
       'get-upload-url',
@@ -230,11 +216,14 @@ export async function runPublish({ file, notes, visibility }) {
         version_code: manifest.version_code,
         file_size: stat.size,
         file_name: path.basename(filePath),
+        multipart_supported: true,
+        ...(resumeState ? { resume_upload_id: resumeState.upload_id } : {}),
       },
       token
     );
     uploadUrl = result.upload_url;
     s3Key = result.s3_key;
+    multipart = result.multipart || null;
   } catch (err) {
     logger.error(`Failed to get upload URL: ${err.message}`);
     logger.newline();
@@ -247,20 +236,26 @@ export async function runPublish({ file, notes, visibility }) {
     logger.info(colors.dim('Uploading .qpp file...'));
   }
 
+  let upload;
   try {
-    const fileBuffer = fs.readFileSync(filePath);
-    const res = await fetch(uploadUrl, {
-      method: 'PUT',
-      body: fileBuffer,
-      headers: { 'Content-Type': 'application/zip' },
-    });
-    if (!res.ok) {
-      throw new Error(`S3 upload returned ${res.status}`);
+    if (multipart) {
+      upload = await uploadMultipart(filePath, stat.size, multipart, { fileHash, s3Key });
+      await apiPost(
+        'complete-multipart-upload',
+        { s3_key: s3Key, upload_id: multipart.upload_id, parts: upload.parts },
+        token
+      );
+      clearUploadState(fileHash);
+    } else {
+      upload = await uploadSingle(filePath, stat.size, uploadUrl);
     }
   } catch (err) {
     logger.error(`Upload failed: ${err.message}`);
+    if (multipart) {
+      logger.info('Run the same publish command again to resume the upload.');
+    }
     logger.newline();
-    return { success: false, error: err.message };
+    return { success: false, error: err.message, resumable: !!multipart };
   }
 
   // ---- 6. Publish release ----
@@ -279,6 +274,8 @@ export async function runPublish({ file, notes, visibility }) {
         version_code: manifest.version_code,
         release_notes: releaseNotes,
         visibility: vis,
+        channel: releaseChannel,
+        ...(rolloutPercentage !== null ? { rollout_percentage: rolloutPercentage } : {}),
       },
       token
     );
@@ -290,6 +287,10 @@ export async function runPublish({ file, notes, visibility }) {
     logger.info(`  ${colors.bold('Slug:')}    ${result.slug}`);
     logger.info(`  ${colors.bold('Release:')} ${result.release_id}`);
     logger.info(`  ${colors.bold('App ID:')}  ${result.quapp_id}`);
+    logger.info(`  ${colors.bold('Channel:')} ${result.channel || releaseChannel}`);
+    if (rolloutPercentage !== null) {
+      logger.info(`  ${colors.bold('Rollout:')} ${result.rollout_percentage ?? rolloutPercentage}%`);
+    }
     if (result.files_extracted) {
       logger.info(`  ${colors.bold('Files:')}   ${result.files_extracted} extracted`);
     }
@@ -300,10 +301,16 @@ export async function runPublish({ file, notes, visibility }) {
 
     return {
       success: true,
+      profile: config.profile,
+      authProfile: getDeployToken() ? null : getAuthProfile(),
       hostedUrl: result.hosted_url,
       slug: result.slug,
       releaseId: result.release_id,
       quappId: result.quapp_id,
+      multipartUpload: upload.multipart,
+      resumedParts: upload.resumedParts || 0,
+      channel: result.channel || releaseChannel,
+      rolloutPercentage: result.rollout_percentage ?? rolloutPercentage,
       filesExtracted: result.files_extracted || 0,
       processingTimeMs: result.processing_time_ms || 0,
     };
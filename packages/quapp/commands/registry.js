@@ -0,0 +1,189 @@
+/**
+ * Registry command - Manage the store APIs the CLI can talk to
+ *
+ *   quapp registry [list]                   List registries
+ *   quapp registry add <name> <url>         Add or update a registry
+ *   quapp registry remove <name>            Remove a registry
+ *   quapp registry use <name>               Make a registry the default
+ */
+
+import * as logger from '../lib/logger.js';
+import * as colors from '../lib/colors.js';
+import { EXIT_CODES, DEFAULT_REGISTRY } from '../lib/constants.js';
+import {
+  readRegistries,
+  writeRegistries,
+  listRegistries,
+  getRegistry,
+  isBuiltinRegistry,
+} from '../lib/registry.js';
+import { getApi } from '../lib/api.js';
+
+/**
+ * Build an error result with a logged message
+ * @param {string} message
+ * @param {string} error - Machine-readable error code
+ * @param {number} exitCode
+ * @returns {Object}
+ */
+function fail(message, error, exitCode = EXIT_CODES.INVALID_ARGS) {
+  logger.error(message);
+  logger.newline();
+  return { success: false, error, exitCode };
+}
+
+/**
+ * List registries, marking the one this run would use
+ * @returns {Object}
+ */
+function list() {
+  const active = getApi();
+  const registries = listRegistries().map((r) => ({
+    name: r.name,
+    url: r.url,
+    builtin: r.builtin,
+    active: r.name === active.name,
+  }));
+
+  logger.newline();
+  logger.info(colors.boldBlue('Registries'));
+  logger.newline();
+
+  const width = Math.max(...registries.map((r) => r.name.length));
+  for (const r of registries) {
+    const marker = r.active ? colors.green('*') : ' ';
+    const name = r.active ? colors.green(r.name.padEnd(width)) : r.name.padEnd(width);
+    logger.info(`  ${marker} ${name}  ${colors.dim(r.url)}`);
+  }
+
+  if (!active.name) {
+    logger.newline();
+    logger.info(`  Using ${colors.bold(active.url)} ${colors.dim(`(from ${active.source})`)}`);
+  } else if (active.source !== 'default' && active.source !== 'registries.json') {
+    logger.newline();
+    logger.info(colors.dim(`  Selected by ${active.source}`));
+  }
+  logger.newline();
+
+  return {
+    success: true,
+    registries,
+    active: { name: active.name, url: active.url, source: active.source },
+  };
+}
+
+/**
+ * Add or update a registry
+ * @param {string} name
+ * @param {string} url
+ * @param {string|null} anonKey
+ * @returns {Object}
+ */
+function add(name, url, anonKey) {
+  if (!/^https?:\/\/\S+$/.test(url)) {
+    return fail(`Invalid URL: "${url}". Must start with http:// or https://`, 'invalid_url');
+  }
+
+  const data = readRegistries();
+  const updated = Object.prototype.hasOwnProperty.call(data.registries, name);
+  data.registries[name] = {
+    url: url.replace(/\/+$/, ''),
+    ...(anonKey ? { anonKey } : {}),
+  };
+  writeRegistries(data);
+
+  logger.success(`${updated ? 'Updated' : 'Added'} registry ${colors.bold(name)} ${colors.dim(data.registries[name].url)}`);
+  if (!anonKey) {
+    logger.info(colors.dim('  No --anon-key given; QUAPP_ANON_KEY or the production key will be used.'));
+  }
+  logger.info(`  Use it with: quapp registry use ${name}`);
+  logger.newline();
+
+  return { success: true, name, url: data.registries[name].url, updated };
+}
+
+/**
+ * Remove a registry
+ * @param {string} name
+ * @returns {Object}
+ */
+function remove(name) {
+  const data = readRegistries();
+  if (!Object.prototype.hasOwnProperty.call(data.registries, name)) {
+    return fail(`Registry "${name}" not found.`, 'registry_not_found', EXIT_CODES.CONFIG_ERROR);
+  }
+
+  delete data.registries[name];
+  const wasCurrent = data.current === name;
+  if (wasCurrent) data.current = null;
+  writeRegistries(data);
+
+  logger.success(`Removed registry ${colors.bold(name)}`);
+  if (wasCurrent) {
+    logger.info(`  Default registry reset to ${DEFAULT_REGISTRY}.`);
+  }
+  logger.newline();
+
+  return { success: true, name, resetCurrent: wasCurrent };
+}
+
+/**
+ * Make a registry the default for future commands
+ * @param {string} name
+ * @returns {Object}
+ */
+function use(name) {
+  if (!getRegistry(name)) {
+    return fail(
+      `Registry "${name}" not found. Add it with: quapp registry add ${name} <url>`,
+      'registry_not_found',
+      EXIT_CODES.CONFIG_ERROR
+    );
+  }
+
+  const data = readRegistries();
+  data.current = name === DEFAULT_REGISTRY ? null : name;
+  writeRegistries(data);
+
+  logger.success(`Now using registry ${colors.bold(name)}`);
+  logger.newline();
+
+  return { success: true, name };
+}
+
+/**
+ * Run the registry command
+ * @param {Object} options
+ * @param {string|null} options.action - list | add | remove | use (default: list)
+ * @param {string|null} options.name - Registry name
+ * @param {string|null} options.url - Registry URL (add)
+ * @param {string|null} options.anonKey - Supabase anon key (add)
+ * @returns {Object} Result object
+ */
+export function runRegistry({ action, name, url, anonKey }) {
+  const mode = action || 'list';
+
+  if (mode === 'list') return list();
+
+  if (!name) {
+    const usage = mode === 'add' ? 'add <name> <url>' : `${mode} <name>`;
+    return fail(`Missing registry name. Usage: quapp registry ${usage}`, 'missing_registry_name');
+  }
+
+  if (mode !== 'use' && isBuiltinRegistry(name)) {
+    return fail(`"${name}" is built in and cannot be changed.`, 'builtin_registry');
+  }
+
+  if (mode === 'add') {
+    if (!/^[\w.-]+$/.test(name)) {
+      return fail(`Invalid registry name: "${name}". Use letters, numbers, ".", "_" or "-"`, 'invalid_registry_name');
+    }
+    if (!url) {
+      return fail('Missing registry URL. Usage: quapp registry add <name> <url>', 'missing_registry_url');
+    }
+    return add(name, url, anonKey);
+  }
+
+  if (mode === 'remove') return remove(name);
+  return use(name);
+}
@@ -0,0 +1,231 @@
+/**
+ * Releases command - List, inspect and roll back published releases
+ *
+ *   quapp releases [package]          List releases (newest first)
+ *   quapp releases show <id>          Show details of one release
+ *   quapp releases rollback <id>      Make an older release current again
+ */
+
+import prompts from 'prompts';
+import * as logger from '../lib/logger.js';
+import * as colors from '../lib/colors.js';
+import { EXIT_CODES } from '../lib/constants.js';
+import { loadConfig, loadPackageJson } from '../lib/config.js';
+import { generateManifest } from '../lib/manifest.js';
+import { getValidToken } from '../lib/credentials.js';
+import { apiPost } from '../lib/api.js';
+
+/**
+ * Convert an API release row to the CLI's result shape
+ * @param {Object} release - Release as returned by the store API
+ * @returns {Object}
+ */
+function toResult(release) {
+  return {
+    id: release.id,
+    packageName: release.package_name || null,
+    version: release.version,
+    versionCode: release.version_code,
+    channel: release.channel || 'stable',
+    visibility: release.visibility || null,
+    rolloutPercentage: release.rollout_percentage ?? 100,
+    current: !!release.is_current,
+    createdAt: release.created_at || null,
+    notes: release.release_notes || null,
+  };
+}
+
+/**
+ * Format an ISO timestamp as YYYY-MM-DD HH:MM
+ * @param {string|null} iso
+ * @returns {string}
+ */
+function formatDate(iso) {
+  if (!iso) return '-';
+  return iso.replace('T', ' ').slice(0, 16);
+}
+
+/**
+ * Guess the package name of the project in the current directory
+ * @returns {Promise<string|null>}
+ */
+async function detectPackageName() {
+  const cwd = process.cwd();
+  const { config } = await loadConfig(cwd, { command: 'releases' });
+  if (config.manifest.packageName) {
+    return config.manifest.packageName + (config.manifest.packageNameSuffix || '');
+  }
+
+  const pkgResult = loadPackageJson(cwd);
+  if (!pkgResult.success || !pkgResult.package.name) return null;
+  return generateManifest(pkgResult.package, { versionCode: 1 }).package_name;
+}
+
+/**
+ * Print releases as a table
+ * @param {Object[]} releases - Results from toResult()
+ */
+function printTable(releases) {
+  const rows = releases.map((r) => [
+    r.current ? '*' : ' ',
+    r.id,
+    r.version,
+    String(r.versionCode),
+    r.rolloutPercentage < 100 ? `${r.channel} (${r.rolloutPercentage}%)` : r.channel,
+    r.visibility || '-',
+    formatDate(r.createdAt),
+    (r.notes || '').split('\n')[0].slice(0, 40),
+  ]);
+  const header = [' ', 'ID', 'VERSION', 'CODE', 'CHANNEL', 'VISIBILITY', 'DATE', 'NOTES'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+  logger.info(`  ${colors.dim(line(header))}`);
+  for (const row of rows) {
+    const text = line(row);
+    logger.info(`  ${row[0] === '*' ? colors.green(text) : text}`);
+  }
+}
+
+/**
+ * Print the details of one release
+ * @param {Object} release - Result from toResult()
+ */
+function printDetails(release) {
+  logger.info(`  Release:    ${colors.bold(release.id)}${release.current ? colors.green(' (current)') : ''}`);
+  if (release.packageName) {
+    logger.info(`  Package:    ${release.packageName}`);
+  }
+  logger.info(`  Version:    ${release.version} (code: ${release.versionCode})`);
+  logger.info(`  Channel:    ${release.channel}`);
+  logger.info(`  Rollout:    ${release.rolloutPercentage}%`);
+  logger.info(`  Visibility: ${release.visibility || '-'}`);
+  logger.info(`  Published:  ${formatDate(release.createdAt)}`);
+  if (release.notes) {
+    logger.info('  Notes:');
+    for (const noteLine of release.notes.split('\n')) {
+      logger.info(`    ${noteLine}`);
+    }
+  }
+}
+
+/**
+ * List releases
+ * @param {string} token
+ * @param {string|null} packageName
+ * @returns {Promise<Object>}
+ */
+async function listReleases(token, packageName) {
+  const result = await apiPost(
+    'list-releases',
+    packageName ? { package_name: packageName } : {},
+    token
+  );
+  const releases = (result.releases || []).map(toResult);
+
+  logger.newline();
+  logger.info(colors.boldBlue(packageName ? `Releases of ${packageName}` : 'Releases'));
+  logger.newline();
+
+  if (releases.length === 0) {
+    logger.info('  No releases found.');
+  } else {
+    printTable(releases);
+    logger.newline();
+    logger.info(colors.dim('  * current release. Details: quapp releases show <id>'));
+  }
+  logger.newline();
+
+  return { success: true, packageName, releases };
+}
+
+/**
+ * Show one release
+ * @param {string} token
+ * @param {string} releaseId
+ * @returns {Promise<Object>}
+ */
+async function showRelease(token, releaseId) {
+  const result = await apiPost('get-release', { release_id: releaseId }, token);
+  const release = toResult(result.release || result);
+
+  logger.newline();
+  printDetails(release);
+  logger.newline();
+
+  return { success: true, release };
+}
+
+/**
+ * Make an older release current again
+ * @param {string} token
+ * @param {string} releaseId
+ * @param {boolean} yes - Skip confirmation
+ * @returns {Promise<Object>}
+ */
+async function rollbackRelease(token, releaseId, yes) {
+  if (!yes && !logger.isJsonMode()) {
+    const { proceed } = await prompts({
+      type: 'confirm',
+      name: 'proceed',
+      message: `Make release ${releaseId} the current release?`,
+      initial: false,
+    });
+
+    if (!proceed) {
+      logger.warn('Rollback cancelled');
+      return { success: false, cancelled: true, exitCode: EXIT_CODES.USER_CANCELLED };
+    }
+  }
+
+  const result = await apiPost('rollback-release', { release_id: releaseId }, token);
+  const release = toResult(result.release || { id: releaseId, ...result });
+
+  logger.newline();
+  logger.success(`Rolled back to ${colors.bold(release.version || releaseId)}`);
+  logger.newline();
+  printDetails(release);
+  logger.newline();
+
+  return { success: true, rolledBack: true, release };
+}
+
+/**
+ * Run the releases command
+ * @param {Object} options
+ * @param {string|null} options.action - list | show | rollback (default: list)
+ * @param {string|null} options.packageName - Package to list (default: current project)
+ * @param {string|null} options.releaseId - Release for show / rollback
+ * @param {boolean} options.yes - Skip the rollback confirmation
+ * @returns {Promise<Object>} Result object
+ */
+export async function runReleases({ action, packageName, releaseId, yes = false }) {
+  const mode = action || 'list';
+
+  if ((mode === 'show' || mode === 'rollback') && !releaseId) {
+    logger.error(`Missing release ID. Usage: quapp releases ${mode} <id>`);
+    logger.newline();
+    return { success: false, error: 'missing_release_id', exitCode: EXIT_CODES.INVALID_ARGS };
+  }
+
+  const token = await getValidToken();
+  if (!token) {
+    logger.error('Not logged in. Run "quapp login" first.');
+    logger.newline();
+    return {
+      success: false,
+      error: 'not_logged_in',
+      exitCode: EXIT_CODES.AUTH_REQUIRED,
+    };
+  }
+
+  try {
+    if (mode === 'show') return await showRelease(token, releaseId);
+    if (mode === 'rollback') return await rollbackRelease(token, releaseId, yes);
+    return await listReleases(token, packageName || await detectPackageName());
+  } catch (err) {
+    logger.error(`Failed to ${mode === 'list' ? 'list releases' : `${mode} release`}: ${err.message}`);
+    logger.newline();
+    return { success: false, error: err.message };
+  }
+}
@@ -8,31 +8,14 @@
  */
 
 import { spawn } from 'child_process';
-import os from 'os';
 import net from 'net';
 import * as logger from '../lib/logger.js';
-import { loadConfig, checkViteAvailable } from '../lib/config.js';
+import { loadConfig, getConfigErrors, checkViteAvailable } from '../lib/config.js';
+import { getIP } from '../lib/network.js';
+import { stopOnAbort, quoteArg } from '../lib/process.js';
+import { detectPackageManager } from '../lib/package-manager.js';
 import { EXIT_CODES } from '../lib/constants.js';
 
-/**
- * Get local IP address for LAN access
- * @param {string} networkType - 'private' for LAN IP, 'local' for localhost
- * @returns {string}
- */
-function getIP(networkType = 'private') {
-  if (networkType === 'private') {
-    const interfaces = os.networkInterfaces();
-    for (const key in interfaces) {
-      for (const iface of interfaces[key] ?? []) {
-        if (!iface.internal && iface.family === 'IPv4') {
-          return iface.address;
-        }
-      }
-    }
-  }
-  return 'localhost';
-}
-
 /**
  * Check if a port is available
  * @param {number} port - Port to check
@@ -80,16 +63,40 @@ async function findAvailablePort(startPort, host = 'localhost', maxAttempts = 10
 /**
  * Run the serve command
  * @param {Object} options - Command options
- * @returns {Promise<Object>} Result
+ * @param {string} [options.cwd] - Project root (default: process.cwd())
+ * @param {Object} [options.config] - Config merged over quapp.config.* (Node API)
+ * @param {AbortSignal} [options.signal] - Stops the dev server when aborted
+ * @returns {Promise<Object>} Result once the dev server exits
  */
 export async function runServe(options = {}) {
-  const cwd = process.cwd();
+  const cwd = options.cwd || process.cwd();
   
   // Load config
-  const { config, configError } = loadConfig(cwd);
-  
-  if (configError) {
-    logger.warn(configError);
+  const loaded = await loadConfig(cwd, {
+    profile: options.profile,
+    command: 'serve',
+    overrides: options.config,
+  });
+  const { config, profileError } = loaded;
+
+  if (profileError) {
+    logger.error(profileError);
+    return { success: false, errorCode: 'UNKNOWN_PROFILE', error: profileError, exitCode: EXIT_CODES.CONFIG_ERROR };
+  }
+
+  const configErrors = getConfigErrors(loaded);
+  if (configErrors.length > 0) {
+    for (const message of configErrors) {
+      logger.error(message);
+    }
+    return {
+      success: false,
+      errorCode: 'INVALID_CONFIG',
+      error: configErrors[0],
+      errors: configErrors,
+      suggestion: 'Fix the reported fields in quapp.config.json',
+      exitCode: EXIT_CODES.CONFIG_ERROR,
+    };
   }
 
   // Merge options with config
@@ -138,17 +145,32 @@ export async function runServe(options = {}) {
     viteArgs.push('--https');
   }
 
+  if (config.mode) {
+    viteArgs.push('--mode', config.mode);
+  }
+
   // Add any extra args passed through
   if (options.extra?.length > 0) {
     viteArgs.push(...options.extra);
   }
 
-  // Start Vite process using npx to avoid path issues with spaces
-  const viteProcess = spawn('npx', viteArgs, {
+  // Start Vite through the package manager's exec (npx, pnpm exec, ...) to avoid path issues with spaces
+  const packageManager = detectPackageManager(cwd, {
+    preferred: options.pm,
+    configured: config.packageManager,
+  });
+  logger.debug(`Package manager: ${packageManager.name} (from ${packageManager.source})`);
+
+  // shell: true joins the arguments unquoted
+  const viteProcess = spawn(packageManager.exec, viteArgs.map(quoteArg), {
     cwd,
-    stdio: ['inherit', 'pipe', 'pipe'],
+    env: { ...process.env, ...config.env },
+    stdio: [logger.isEmbedded() ? 'ignore' : 'inherit', 'pipe', 'pipe'],
     shell: true,
+    // Own process group, so aborting the signal stops Vite too
+    detached: !!options.signal && process.platform !== 'win32',
   });
+  stopOnAbort(viteProcess, options.signal);
 
   let serverReady = false;
   let bannerShown = false;
@@ -161,6 +183,10 @@ export async function runServe(options = {}) {
     if (bannerShown) return;
     bannerShown = true;
 
+    logger.event('ready', { localUrl, lanUrl, port: actualPort });
+    // Embedded runs get the URLs from the 'ready' event
+    if (logger.isEmbedded()) return;
+
     logger.newline();
     console.log('  \x1b[1m\x1b[32m✓\x1b[0m \x1b[1mDev server running!\x1b[0m');
     logger.newline();
@@ -221,18 +247,19 @@ export async function runServe(options = {}) {
     }
     
     // Pass through all other output (HMR updates, warnings, etc.)
-    process.stdout.write(data);
+    logger.output(data);
   });
 
   // Handle stderr - pass through (errors, warnings)
   viteProcess.stderr.on('data', (data) => {
-    process.stderr.write(data);
+    logger.output(data, 'stderr');
   });
 
   // Handle process exit
   return new Promise((resolve) => {
     viteProcess.on('close', (code) => {
-      if (code !== 0) {
+      // Aborting the signal is a normal way to stop
+      if (code !== 0 && !options.signal?.aborted) {
         resolve({
           success: false,
           error: `Dev server exited with code ${code}`,
@@ -241,6 +268,8 @@ export async function runServe(options = {}) {
       } else {
         resolve({
           success: true,
+          profile: config.profile,
+          packageManager: packageManager.name,
           lanUrl,
           localUrl,
         });
@@ -0,0 +1,183 @@
+/**
+ * Tokens command - Manage deploy tokens for CI
+ *
+ *   quapp tokens [list]            List deploy tokens
+ *   quapp tokens create            Create a token (shown once)
+ *   quapp tokens revoke <id>       Revoke a token
+ *
+ * Managing tokens always uses the login session, never QUAPP_TOKEN,
+ * so a leaked deploy token cannot mint or revoke others.
+ */
+
+import * as logger from '../lib/logger.js';
+import * as colors from '../lib/colors.js';
+import { EXIT_CODES } from '../lib/constants.js';
+import { getSessionToken } from '../lib/credentials.js';
+import { apiPost } from '../lib/api.js';
+
+/**
+ * Convert an API token row to the CLI's result shape
+ * @param {Object} token - Token as returned by the store API
+ * @returns {Object}
+ */
+function toResult(token) {
+  return {
+    id: token.id,
+    name: token.name || null,
+    scopes: token.scopes || [],
+    packageName: token.package_name || null,
+    createdAt: token.created_at || null,
+    lastUsedAt: token.last_used_at || null,
+    expiresAt: token.expires_at || null,
+  };
+}
+
+/**
+ * Format an ISO timestamp as YYYY-MM-DD
+ * @param {string|null} iso
+ * @returns {string}
+ */
+function formatDate(iso) {
+  return iso ? iso.slice(0, 10) : '-';
+}
+
+/**
+ * List deploy tokens
+ * @param {string} session - Session access token
+ * @returns {Promise<Object>}
+ */
+async function listTokens(session) {
+  const result = await apiPost('list-deploy-tokens', {}, session);
+  const tokens = (result.tokens || []).map(toResult);
+
+  logger.newline();
+  logger.info(colors.boldBlue('Deploy tokens'));
+  logger.newline();
+
+  if (tokens.length === 0) {
+    logger.info('  No deploy tokens. Create one with: quapp tokens create --name ci');
+  } else {
+    const rows = tokens.map((t) => [
+      t.id,
+      t.name || '-',
+      t.scopes.join(',') || '-',
+      t.packageName || 'all',
+      formatDate(t.lastUsedAt),
+      formatDate(t.expiresAt),
+    ]);
+    const header = ['ID', 'NAME', 'SCOPES', 'PACKAGE', 'LAST USED', 'EXPIRES'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+    const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+    logger.info(`  ${colors.dim(line(header))}`);
+    for (const row of rows) {
+      logger.info(`  ${line(row)}`);
+    }
+  }
+  logger.newline();
+
+  return { success: true, tokens };
+}
+
+/**
+ * Create a deploy token
+ * @param {string} session - Session access token
+ * @param {Object} options - { name, scopes, packageName, expiresInDays }
+ * @returns {Promise<Object>}
+ */
+async function createToken(session, { name, scopes, packageName, expiresInDays }) {
+  const result = await apiPost(
+    'create-deploy-token',
+    {
+      name,
+      scopes,
+      ...(packageName ? { package_name: packageName } : {}),
+      ...(expiresInDays ? { expires_in_days: expiresInDays } : {}),
+    },
+    session
+  );
+  const token = toResult(result);
+
+  logger.newline();
+  logger.success(`Created deploy token ${colors.bold(token.name || token.id)}`);
+  logger.newline();
+  logger.info(`  ${colors.bold('Token:')}   ${result.token}`);
+  logger.info(`  ${colors.bold('Scopes:')}  ${token.scopes.join(', ')}`);
+  logger.info(`  ${colors.bold('Package:')} ${token.packageName || 'all packages'}`);
+  logger.info(`  ${colors.bold('Expires:')} ${token.expiresAt || 'never'}`);
+  logger.newline();
+  logger.warn('This token is shown only once. Store it as QUAPP_TOKEN in your CI secrets.');
+  logger.newline();
+
+  return { success: true, token: result.token, ...token };
+}
+
+/**
+ * Revoke a deploy token
+ * @param {string} session - Session access token
+ * @param {string} tokenId
+ * @returns {Promise<Object>}
+ */
+async function revokeToken(session, tokenId) {
+  await apiPost('revoke-deploy-token', { token_id: tokenId }, session);
+
+  logger.success(`Revoked deploy token ${colors.bold(tokenId)}`);
+  logger.newline();
+
+  return { success: true, revoked: true, id: tokenId };
+}
+
+/**
+ * Run the tokens command
+ * @param {Object} options
+ * @param {string|null} options.action - list | create | revoke (default: list)
+ * @param {string|null} options.tokenId - Token to revoke
+ * @param {string|null} options.name - Token name (create)
+ * @param {string[]} options.scopes - Token scopes (create, default: publish)
+ * @param {string|null} options.packageName - Restrict the token to one package (create)
+ * @param {number|null} options.expiresInDays - Expiry in days (create, default: never)
+ * @returns {Promise<Object>} Result object
+ */
+export async function runTokens({ action, tokenId, name, scopes, packageName, expiresInDays }) {
+  const mode = action || 'list';
+
+  if (mode === 'revoke' && !tokenId) {
+    logger.error('Missing token ID. Usage: quapp tokens revoke <id>');
+    logger.newline();
+    return { success: false, error: 'missing_token_id', exitCode: EXIT_CODES.INVALID_ARGS };
+  }
+
+  if (mode === 'create' && !name) {
+    logger.error('Missing token name. Usage: quapp tokens create --name <name>');
+    logger.newline();
+    return { success: false, error: 'missing_token_name', exitCode: EXIT_CODES.INVALID_ARGS };
+  }
+
+  const session = await getSessionToken();
+  if (!session) {
+    logger.error('Managing deploy tokens requires a login session. Run "quapp login" first.');
+    logger.newline();
+    return {
+      success: false,
+      error: 'not_logged_in',
+      exitCode: EXIT_CODES.AUTH_REQUIRED,
+    };
+  }
+
+  try {
+    if (mode === 'create') {
+      return await createToken(session, {
+        name,
+        scopes: scopes.length > 0 ? scopes : ['publish'],
+        packageName,
+        expiresInDays,
+      });
+    }
+    if (mode === 'revoke') return await revokeToken(session, tokenId);
+    return await listTokens(session);
+  } catch (err) {
+    logger.error(`Failed to ${mode === 'list' ? 'list deploy tokens' : `${mode} deploy token`}: ${err.message}`);
+    logger.newline();
+    return { success: false, error: err.message };
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Use command - Switch the default auth profile
+ */
+
+import * as logger from '../lib/logger.js';
+import * as colors from '../lib/colors.js';
+import { EXIT_CODES } from '../lib/constants.js';
+import { setCurrentAuthProfile, listAuthProfiles } from '../lib/credentials.js';
+
+/**
+ * Run the use command
+ * @param {Object} options
+ * @param {string|null} options.profile - Auth profile to make the default
+ * @returns {Object} Result object
+ */
+export function runUse({ profile }) {
+  if (!profile) {
+    logger.error('Missing profile name. Usage: quapp use <profile>');
+    logger.newline();
+    return { success: false, error: 'missing_profile', exitCode: EXIT_CODES.INVALID_ARGS };
+  }
+
+  if (!setCurrentAuthProfile(profile)) {
+    const names = listAuthProfiles().map((p) => p.name);
+    logger.error(`No auth profile named "${profile}".`);
+    logger.info(
+      names.length > 0
+        ? `  Available profiles: ${names.join(', ')}`
+        : '  No profiles stored yet.'
+    );
+    logger.info(`  Log in to it with: quapp login --profile ${profile}`);
+    logger.newline();
+    return {
+      success: false,
+      error: 'unknown_profile',
+      exitCode: EXIT_CODES.AUTH_REQUIRED,
+    };
+  }
+
+  logger.success(`Now using auth profile ${colors.bold(profile)}`);
+  logger.newline();
+
+  return { success: true, profile };
+}
@@ -0,0 +1,81 @@
+/**
+ * Validate command - Check a .qpp package offline before publishing
+ *
+ * Runs the same manifest checks as `quapp publish` plus archive-level
+ * checks (unsafe paths, duplicates, symlinks, oversized files).
+ * Needs no credentials or network access.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as logger from '../lib/logger.js';
+import * as colors from '../lib/colors.js';
+import { EXIT_CODES } from '../lib/constants.js';
+import { inspectQpp } from '../lib/archive.js';
+
+/**
+ * Run the validate command
+ * @param {Object} options
+ * @param {string|null} options.file - Path to .qpp file (default: ./dist.qpp)
+ * @returns {Promise<Object>} Result object
+ */
+export async function runValidate({ file } = {}) {
+  const filePath = path.resolve(file || './dist.qpp');
+  const fileName = path.basename(filePath);
+
+  if (!fs.existsSync(filePath)) {
+    logger.error(`File not found: ${filePath}`);
+    logger.info('Run "quapp build" first, or pass the path: quapp validate <file>');
+    logger.newline();
+    return {
+      success: false,
+      error: 'file_not_found',
+      exitCode: EXIT_CODES.VALIDATION_FAILED,
+    };
+  }
+
+  const report = inspectQpp(filePath);
+  const { manifest } = report;
+
+  logger.newline();
+  logger.info(colors.boldBlue(`Validating ${fileName}`));
+  if (manifest) {
+    logger.info(`  Package:    ${colors.bold(String(manifest.package_name))}`);
+    logger.info(`  Version:    ${manifest.version} (code: ${manifest.version_code})`);
+  }
+  logger.info(`  Files:      ${report.fileCount}`);
+  logger.info(`  Size:       ${(report.size / 1024).toFixed(1)} KB`);
+  logger.newline();
+
+  for (const message of report.errors) {
+    logger.error(message);
+  }
+  for (const message of report.warnings) {
+    logger.warn(message);
+  }
+
+  if (!report.valid) {
+    logger.newline();
+    logger.error(
+      `${fileName} failed validation with ${report.errors.length} error(s)`
+    );
+    logger.newline();
+  } else {
+    if (report.warnings.length > 0) logger.newline();
+    logger.success(`${fileName} is valid`);
+    logger.newline();
+  }
+
+  return {
+    success: report.valid,
+    valid: report.valid,
+    file: filePath,
+    manifest,
+    fileCount: report.fileCount,
+    size: report.size,
+    uncompressedSize: report.uncompressedSize,
+    errors: report.errors,
+    warnings: report.warnings,
+    ...(report.valid ? {} : { exitCode: EXIT_CODES.VALIDATION_FAILED }),
+  };
+}
@@ -4,23 +4,159 @@
 
 import * as logger from '../lib/logger.js';
 import * as colors from '../lib/colors.js';
-import { EXIT_CODES } from '../lib/constants.js';
+import { EXIT_CODES, DEFAULT_REGISTRY, DEFAULT_AUTH_PROFILE } from '../lib/constants.js';
+import { getApi, apiPost } from '../lib/api.js';
 import {
   readCredentials,
   deleteCredentials,
   getValidToken,
+  getDeployToken,
+  getAuthProfile,
+  getAssuranceLevel,
+  listAuthProfiles,
   createSupabaseClient,
 } from '../lib/credentials.js';
 
+/**
+ * Print the registry line when not talking to the public store
+ * @param {Object} api - Result of getApi()
+ */
+function printRegistry(api) {
+  if (api.name !== DEFAULT_REGISTRY) {
+    logger.info(`  Registry:  ${api.name || 'custom'} ${colors.dim(`(${api.url})`)}`);
+  }
+}
+
+/**
+ * Show the owner and scope of a deploy token
+ * @param {Object} deploy - { token, source } from getDeployToken()
+ * @returns {Promise<Object>} Result object
+ */
+async function whoamiDeployToken(deploy) {
+  let info;
+  try {
+    info = await apiPost('get-token-info', {}, deploy.token);
+  } catch (err) {
+    logger.error(`Deploy token from ${deploy.source} was rejected: ${err.message}`);
+    logger.newline();
+    return {
+      success: false,
+      error: 'invalid_token',
+      exitCode: EXIT_CODES.AUTH_REQUIRED,
+    };
+  }
+
+  const api = getApi();
+  const tokenInfo = info.token || {};
+  const scopes = tokenInfo.scopes || [];
+
+  logger.newline();
+  logger.info(colors.boldBlue('Quapp Account'));
+  logger.newline();
+  logger.info(`  Email:     ${colors.bold(info.user?.email || '-')}`);
+  logger.info(`  User ID:   ${colors.dim(info.user?.id || '-')}`);
+  if (info.developer) {
+    logger.info(
+      `  Developer: ${colors.green(info.developer.display_name)} ${colors.dim(`(${info.developer.slug})`)}`
+    );
+  }
+  logger.info(`  Token:     ${colors.bold(tokenInfo.name || tokenInfo.id || 'deploy token')} ${colors.dim(`(from ${deploy.source})`)}`);
+  logger.info(`  Scopes:    ${scopes.join(', ') || '-'}`);
+  if (tokenInfo.package_name) {
+    logger.info(`  Package:   ${tokenInfo.package_name}`);
+  }
+  if (tokenInfo.expires_at) {
+    logger.info(`  Expires:   ${tokenInfo.expires_at}`);
+  }
+  printRegistry(api);
+  logger.newline();
+
+  return {
+    success: true,
+    authMethod: 'token',
+    tokenSource: deploy.source,
+    email: info.user?.email || null,
+    userId: info.user?.id || null,
+    hasProfile: !!info.developer,
+    developerName: info.developer?.display_name || null,
+    developerSlug: info.developer?.slug || null,
+    token: {
+      id: tokenInfo.id || null,
+      name: tokenInfo.name || null,
+      scopes,
+      packageName: tokenInfo.package_name || null,
+      expiresAt: tokenInfo.expires_at || null,
+    },
+    registry: api.name,
+    apiUrl: api.url,
+  };
+}
+
+/**
+ * List every stored auth profile from local credentials (no network)
+ * @returns {Object} Result object
+ */
+function whoamiAll() {
+  const now = Math.floor(Date.now() / 1000);
+  const profiles = listAuthProfiles().map(({ name, current, credentials }) => ({
+    name,
+    current,
+    email: credentials.user_email || null,
+    userId: credentials.user_id || null,
+    developerName: credentials.developer_display_name || null,
+    apiUrl: credentials.api_url || null,
+    // Expired sessions are refreshed on next use unless the refresh token was revoked
+    expired: !!credentials.expires_at && credentials.expires_at <= now,
+  }));
+
+  logger.newline();
+  logger.info(colors.boldBlue('Auth Profiles'));
+  logger.newline();
+
+  if (profiles.length === 0) {
+    logger.info('  No profiles stored. Run "quapp login" or "quapp login --profile <name>".');
+  }
+
+  const width = Math.max(0, ...profiles.map((p) => p.name.length));
+  for (const p of profiles) {
+    const marker = p.current ? colors.green('*') : ' ';
+    const name = p.current ? colors.green(p.name.padEnd(width)) : p.name.padEnd(width);
+    const developer = p.developerName ? ` ${colors.dim(`(${p.developerName})`)}` : '';
+    const registry = p.apiUrl && p.apiUrl !== getApi().url ? ` ${colors.dim(p.apiUrl)}` : '';
+    logger.info(`  ${marker} ${name}  ${p.email || '-'}${developer}${registry}`);
+  }
+
+  if (profiles.length > 0) {
+    logger.newline();
+    logger.info(colors.dim('  * default profile. Switch with: quapp use <profile>'));
+  }
+  logger.newline();
+
+  return { success: true, profiles };
+}
+
 /**
  * Run the whoami command
+ * @param {Object} [options]
+ * @param {boolean} [options.all] - List every stored auth profile
  * @returns {Promise<Object>} Result object
  */
-export async function runWhoami() {
+export async function runWhoami({ all = false } = {}) {
+  if (all) return whoamiAll();
+
+  const deploy = getDeployToken();
+  if (deploy) return whoamiDeployToken(deploy);
+
   const token = await getValidToken();
 
+  const authProfile = getAuthProfile();
+
   if (!token) {
-    logger.error('Not logged in. Run "quapp login" first.');
+    logger.error(
+      authProfile === DEFAULT_AUTH_PROFILE
+        ? 'Not logged in. Run "quapp login" first.'
+        : `Not logged in as profile "${authProfile}". Run "quapp login --profile ${authProfile}" first.`
+    );
     logger.newline();
     return {
       success: false,
@@ -45,6 +181,8 @@ export async function runWhoami() {
   }
 
   const creds = readCredentials();
+  const api = getApi();
+  const assuranceLevel = getAssuranceLevel(token);
 
   logger.newline();
   logger.info(colors.boldBlue('Quapp Account'));
@@ -60,14 +198,27 @@ export async function runWhoami() {
     logger.info(`  Developer: ${colors.yellow('No profile')}`);
   }
 
+  if (assuranceLevel === 'aal2') {
+    logger.info(`  Security:  ${colors.green('aal2')} ${colors.dim('(two-factor verified)')}`);
+  } else if (assuranceLevel) {
+    logger.info(`  Security:  ${assuranceLevel} ${colors.dim('(single factor)')}`);
+  }
+
+  logger.info(`  Profile:   ${authProfile}`);
+  printRegistry(api);
   logger.newline();
 
   return {
     success: true,
+    authMethod: 'session',
+    authProfile,
+    assuranceLevel,
     email: data.user.email,
     userId: data.user.id,
     hasProfile: creds?.has_developer_profile || false,
     developerName: creds?.developer_display_name || null,
     developerSlug: creds?.developer_slug || null,
+    registry: api.name,
+    apiUrl: api.url,
   };
 }
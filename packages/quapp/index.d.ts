@@ -0,0 +1,289 @@
+/**
+ * Type definitions for quapp
+ */
+
+export type Permission =
+  | 'camera'
+  | 'microphone'
+  | 'storage'
+  | 'location'
+  | 'notifications'
+  | 'contacts'
+  | 'bluetooth'
+  | 'vibration'
+  | 'clipboard'
+  | 'network';
+
+export type PackageManager = 'npm' | 'pnpm' | 'yarn' | 'bun';
+
+export interface ServerConfig {
+  /** Port to run the dev server on (default: 5173) */
+  port?: number;
+  /** Print a QR code with the LAN URL (default: true) */
+  qr?: boolean;
+  /** private: listen on the LAN address, local: localhost only (default: private) */
+  network?: 'private' | 'local';
+  /** Open the app in the browser on start (default: false) */
+  openBrowser?: boolean;
+  /** Serve over HTTPS (default: false) */
+  https?: boolean;
+  /** Try the next port when the configured one is in use (default: true) */
+  autoRetry?: boolean;
+  /** Fail instead of trying another port (default: false) */
+  strictPort?: boolean;
+  /** Allow falling back to another port (default: true) */
+  fallbackPort?: boolean;
+}
+
+export interface BuildConfig {
+  /** Build output directory that is packaged into the .qpp (default: dist) */
+  outDir?: string;
+  /** Name of the .qpp file (default: dist.qpp) */
+  outputFile?: string;
+  /** Create byte-identical archives (default: false) */
+  reproducible?: boolean;
+  /** Shell command that builds the app, instead of the package.json build script */
+  command?: string;
+  /** Globs of files in outDir to package (default: all files) */
+  include?: string[];
+  /** Globs of files in outDir to leave out, in addition to the default excludes */
+  exclude?: string[];
+  /** Leave out *.map, .DS_Store, Thumbs.db, desktop.ini, stats.html and stats.json (default: true) */
+  defaultExcludes?: boolean;
+}
+
+/**
+ * Shell commands run by quapp build in the project root. They receive QUAPP_PROFILE,
+ * QUAPP_MODE, QUAPP_OUT_DIR and QUAPP_QPP_PATH; prepackage and postbuild also get
+ * QUAPP_PACKAGE_NAME, QUAPP_VERSION and QUAPP_VERSION_CODE; postbuild also gets
+ * QUAPP_QPP_SIZE and QUAPP_QPP_SHA256.
+ */
+export interface HooksConfig {
+  /** Before the build command */
+  prebuild?: string;
+  /** After manifest.json is written, before the .qpp is created */
+  prepackage?: string;
+  /** After the .qpp is created */
+  postbuild?: string;
+}
+
+export interface ManifestConfig {
+  /** Store identity of the app; defaults to com.<author>.<name> */
+  packageName?: string;
+  /** Appended to the package name, e.g. ".staging" */
+  packageNameSuffix?: string;
+  /** Explicit version_code; derived from the package.json version by default */
+  versionCode?: number;
+  /** Entry file, relative to the build output directory (default: index.html) */
+  entryPoint?: string;
+  /** Minimum Quapp SDK version (default: 1) */
+  minSdkVersion?: number;
+  /** Device permissions the app needs */
+  permissions?: Permission[];
+  /** Additional manifest fields */
+  extra?: Record<string, unknown>;
+}
+
+export interface PublishConfig {
+  visibility?: 'public' | 'unlisted' | 'private';
+  channel?: 'beta' | 'stable';
+  /** Staged rollout percentage, 1-100 */
+  rollout?: number;
+}
+
+export interface ApiConfig {
+  url?: string;
+  anonKey?: string;
+  functionsUrl?: string;
+}
+
+/** Settings a profile can override */
+export interface ProfileConfig {
+  server?: ServerConfig;
+  build?: BuildConfig;
+  manifest?: ManifestConfig;
+  publish?: PublishConfig;
+  /** Environment variables for the Vite process */
+  env?: Record<string, string>;
+  /** Vite mode; defaults to the profile name */
+  mode?: string;
+  /** Named registry from ~/.quapp/registries.json */
+  registry?: string;
+  /** Explicit store API endpoint */
+  api?: ApiConfig;
+  /** Auth profile (quapp login --profile) used in this project */
+  authProfile?: string;
+  /** Package manager for the build script and Vite; detected by default */
+  packageManager?: PackageManager;
+  /** Shell commands run around quapp build */
+  hooks?: HooksConfig;
+}
+
+export interface QuappConfig extends ProfileConfig {
+  /** Named variants deep-merged over this config with --profile <name> */
+  profiles?: Record<string, ProfileConfig>;
+}
+
+export interface ConfigEnv {
+  /** The quapp command being run, e.g. "serve", "build" or "publish" */
+  command: string | null;
+  /** The profile name, else "development" for serve and "production" otherwise */
+  mode: string;
+  /** Profile selected with --profile, or null */
+  profile: string | null;
+}
+
+export type UserConfigFn = (env: ConfigEnv) => QuappConfig | Promise<QuappConfig>;
+export type UserConfigExport = QuappConfig | Promise<QuappConfig> | UserConfigFn;
+
+/** Define a project config with type hints */
+export function defineConfig(config: QuappConfig): QuappConfig;
+export function defineConfig(config: Promise<QuappConfig>): Promise<QuappConfig>;
+export function defineConfig(config: UserConfigFn): UserConfigFn;
+export function defineConfig(config: UserConfigExport): UserConfigExport;
+
+// ---------------------------------------------------------------------------
+// Node API
+// ---------------------------------------------------------------------------
+
+/** Receives messages as plain text; any method may be left out. `console` works. */
+export interface QuappLogger {
+  info?(message: string): void;
+  success?(message: string): void;
+  warn?(message: string): void;
+  error?(message: string): void;
+  debug?(message: string): void;
+}
+
+/**
+ * Events emitted while a command runs:
+ * - `output`: `{ stream: 'stdout' | 'stderr', text }` from Vite or the build script
+ * - `progress`: `{ label, transferred, total, percent }` during uploads
+ * - `ready`: `{ localUrl, lanUrl, port }` when the dev server is up
+ */
+export type QuappEventHandler = (name: string, data: Record<string, unknown>) => void;
+
+export interface CommonOptions {
+  /** Project root (default: process.cwd()) */
+  cwd?: string;
+  /** Config deep-merged over quapp.config.* and the selected profile */
+  config?: QuappConfig;
+  /** Profile from quapp.config.* to apply */
+  profile?: string;
+  /** Receives log messages; nothing is printed when omitted */
+  logger?: QuappLogger;
+  /** Receives events */
+  onEvent?: QuappEventHandler;
+  /** Pass debug messages to logger.debug */
+  verbose?: boolean;
+}
+
+export interface BuildOptions extends CommonOptions {
+  /** Package manager that runs the build script (default: detected) */
+  pm?: PackageManager;
+  /** .qpp file name (default: build.outputFile) */
+  output?: string;
+  /** Remove the build output directory after packaging (default: true) */
+  clean?: boolean;
+  /** Rebuild and re-package on changes until signal is aborted */
+  watch?: boolean;
+  /** Create a byte-identical archive */
+  reproducible?: boolean;
+  /** Return the files that would be packaged instead of writing the .qpp (not with watch) */
+  list?: boolean;
+  /** Stops watch mode */
+  signal?: AbortSignal;
+}
+
+export interface ServeOptions extends CommonOptions {
+  /** Package manager that runs Vite (default: detected) */
+  pm?: PackageManager;
+  port?: number;
+  host?: string;
+  qr?: boolean;
+  open?: boolean;
+  https?: boolean;
+  /** Extra arguments for Vite */
+  extra?: string[];
+  /** Stops the dev server */
+  signal?: AbortSignal;
+}
+
+export interface PublishOptions extends CommonOptions {
+  /** .qpp file, relative to cwd (default: build.outputFile) */
+  file?: string;
+  notes?: string;
+  visibility?: 'public' | 'unlisted' | 'private';
+  channel?: 'beta' | 'stable';
+  /** Staged rollout percentage, 1-100 */
+  rollout?: number;
+  /** Store API endpoint */
+  apiUrl?: string;
+  /** Named registry from ~/.quapp/registries.json */
+  registry?: string;
+  /** File containing a deploy token (default: QUAPP_TOKEN) */
+  tokenFile?: string;
+  /** Auth profile to publish as (default: authProfile from the config, else the stored default) */
+  authProfile?: string;
+}
+
+export interface CommandFailure {
+  success: false;
+  error: string;
+  errorCode?: string;
+  errors?: string[];
+  suggestion?: string;
+  exitCode?: number;
+}
+
+export interface BuildSuccess {
+  success: true;
+  outputFile: string;
+  outputPath: string;
+  profile: string | null;
+  manifest?: Record<string, unknown>;
+  sha256?: string;
+  reproducible?: boolean;
+  duration?: number;
+  packageManager: PackageManager;
+  /** Watch mode only */
+  watch?: true;
+  builds?: number;
+  /** List mode only */
+  list?: true;
+  files?: Array<{ path: string; size: number }>;
+  excluded?: string[];
+  /** Uncompressed size of files */
+  totalSize?: number;
+}
+
+export interface ServeSuccess {
+  success: true;
+  profile: string | null;
+  packageManager: PackageManager;
+  lanUrl: string;
+  localUrl: string;
+}
+
+export interface PublishSuccess {
+  success: true;
+  profile: string | null;
+  authProfile: string | null;
+  hostedUrl: string;
+  slug: string;
+  releaseId: string;
+  quappId: string;
+  multipartUpload: boolean;
+  resumedParts: number;
+  channel: 'beta' | 'stable';
+  rolloutPercentage: number | null;
+  filesExtracted: number;
+  processingTimeMs: number;
+}
+
+/** Build the project and package it as .qpp */
+export function build(options?: BuildOptions): Promise<BuildSuccess | CommandFailure>;
+/** Start the dev server; resolves when it exits */
+export function serve(options?: ServeOptions): Promise<ServeSuccess | CommandFailure>;
+/** Upload a .qpp and publish it to the store */
+export function publish(options?: PublishOptions): Promise<PublishSuccess | CommandFailure>;
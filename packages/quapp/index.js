@@ -0,0 +1,95 @@
+/**
+ * quapp - Node API
+ *
+ * Runs the build, serve and publish commands without the CLI: the project
+ * directory and config overrides are passed in, output goes to the caller's
+ * logger and event callback, and the command's result object is returned.
+ * The process is never exited. Commands share process-wide state (logger,
+ * store API, credentials), so run one at a time.
+ *
+ * Types are declared in index.d.ts.
+ */
+
+import path from 'path';
+import { initColors } from './lib/colors.js';
+import * as logger from './lib/logger.js';
+import { initApiContext } from './lib/context.js';
+import { runBuild } from './commands/build.js';
+import { runServe } from './commands/serve.js';
+import { runPublish } from './commands/publish.js';
+
+/**
+ * Define a project config with type hints (quapp.config.js / .mjs / .ts)
+ * The config can be an object or a function receiving { command, mode, profile }.
+ * @param {import('./index').UserConfigExport} config
+ * @returns {import('./index').UserConfigExport} The config, unchanged
+ */
+export function defineConfig(config) {
+  return config;
+}
+
+/**
+ * Route output of this run to the caller and resolve the project root
+ * @param {Object} options - Node API options
+ * @returns {string} Absolute project root
+ */
+function embed(options) {
+  // Messages are handed to the caller as plain text
+  initColors(true);
+  logger.initLogger({
+    verbose: options.verbose,
+    embedded: true,
+    sink: options.logger,
+    onEvent: options.onEvent,
+  });
+  return path.resolve(options.cwd || process.cwd());
+}
+
+/**
+ * Build the project and package it as .qpp
+ * Never prompts: missing package.json fields get the --skip-prompts defaults.
+ * @param {import('./index').BuildOptions} [options]
+ * @returns {Promise<Object>} Same result as `quapp build --json`
+ */
+export async function build(options = {}) {
+  const cwd = embed(options);
+  return runBuild({ ...options, cwd, skipPrompts: true });
+}
+
+/**
+ * Start the Vite dev server
+ * Resolves when the server exits; abort options.signal to stop it.
+ * @param {import('./index').ServeOptions} [options]
+ * @returns {Promise<Object>} Same result as `quapp serve --json`
+ */
+export async function serve(options = {}) {
+  const cwd = embed(options);
+  return runServe({ ...options, cwd });
+}
+
+/**
+ * Upload a .qpp and publish it to the store
+ * Uses the stored login session, QUAPP_TOKEN or options.tokenFile.
+ * @param {import('./index').PublishOptions} [options]
+ * @returns {Promise<Object>} Same result as `quapp publish --json`
+ */
+export async function publish(options = {}) {
+  const cwd = embed(options);
+  const context = await initApiContext({
+    command: 'publish',
+    cwd,
+    profile: options.profile,
+    authProfile: options.authProfile,
+    apiUrl: options.apiUrl,
+    registry: options.registry,
+    tokenFile: options.tokenFile,
+    overrides: options.config,
+  });
+  if (!context.success) {
+    for (const message of context.errors || [context.error]) {
+      logger.error(message);
+    }
+    return context;
+  }
+  return runPublish({ ...options, cwd });
+}
@@ -0,0 +1,73 @@
+/**
+ * Quapp Store API client (Supabase Edge Functions)
+ */
+
+import { resolveApi } from './registry.js';
+
+// Endpoint for this run; set once by initApi(), resolved lazily otherwise
+let currentApi = null;
+
+/**
+ * Select the store API for this run
+ * @param {Object} [options] - See resolveApi() in lib/registry.js
+ * @returns {Object} { name, url, anonKey, functionsUrl, source }
+ * @throws {Error} If a named registry does not exist
+ */
+export function initApi(options = {}) {
+  currentApi = resolveApi(options);
+  return currentApi;
+}
+
+/**
+ * Store API selected for this run
+ * @returns {Object} { name, url, anonKey, functionsUrl, source }
+ */
+export function getApi() {
+  if (!currentApi) currentApi = resolveApi();
+  return currentApi;
+}
+
+/**
+ * Base URL of the store's Edge Functions
+ * QUAPP_FUNCTIONS_URL points the CLI at another deployment, e.g. a local mock
+ * @returns {string}
+ */
+export function getFunctionsUrl() {
+  return getApi().functionsUrl;
+}
+
+/**
+ * POST to a Supabase Edge Function
+ * @param {string} endpoint - Function name (e.g. 'get-upload-url')
+ * @param {Object} body - Request body
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} Response JSON
+ * @throws {Error} With `status` (HTTP status, if any) and `transient` (true for
+ *   network errors and 429/5xx responses, where a retry may succeed)
+ */
+export async function apiPost(endpoint, body, token) {
+  let res;
+  try {
+    res = await fetch(`${getFunctionsUrl()}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    // fetch rejects only when no response arrived
+    throw Object.assign(new Error(err.cause?.message || err.message), { status: null, transient: true });
+  }
+
+  // Gateways answer 502/504 with HTML
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json || json.error) {
+    throw Object.assign(new Error(json?.message || json?.error || `API error: ${res.status}`), {
+      status: res.status,
+      transient: res.status === 429 || res.status >= 500,
+    });
+  }
+  return json;
+}
@@ -0,0 +1,430 @@
+/**
+ * .qpp archive creation and inspection
+ *
+ * build.include / build.exclude select the files of the output directory
+ * that are packaged (see selectFiles()).
+ *
+ * Inspection is shared by `quapp validate` and `quapp publish` so a package
+ * that validates locally is accepted by the same checks before upload.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import archiver from 'archiver';
+import AdmZip from 'adm-zip';
+import { MAX_QPP_FILE_SIZE, MAX_QPP_ENTRY_SIZE, DEFAULT_PACKAGE_EXCLUDES } from './constants.js';
+import { validateManifest } from './manifest.js';
+
+// Fallback timestamp for reproducible archives: the earliest ZIP (DOS) date
+const DEFAULT_SOURCE_DATE = new Date(Date.UTC(1980, 0, 1));
+
+// Unix file type bits stored in the upper 16 bits of the external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// ---------------------------------------------------------------------------
+// Archive creation
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve the timestamp used for every entry of a reproducible archive
+ * Honours SOURCE_DATE_EPOCH (https://reproducible-builds.org/specs/source-date-epoch/)
+ * @returns {Date}
+ * @throws {Error} If SOURCE_DATE_EPOCH is set but not a valid Unix timestamp
+ */
+export function getSourceDate() {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  if (epoch === undefined || epoch === '') return DEFAULT_SOURCE_DATE;
+
+  if (!/^\d+$/.test(epoch)) {
+    throw new Error(`Invalid SOURCE_DATE_EPOCH "${epoch}": must be a Unix timestamp in seconds`);
+  }
+  return new Date(Number(epoch) * 1000);
+}
+
+/**
+ * List files under a directory, sorted by their archive path
+ * Symlinks are not followed: a broken link or a loop would fail the walk,
+ * and the store rejects symlink entries anyway. They are returned
+ * separately so callers can report them.
+ * @param {string} dir - Root directory
+ * @returns {Object} { files, symlinks }: paths relative to dir, using forward slashes
+ */
+function listFiles(dir) {
+  const files = [];
+  const symlinks = [];
+  const walk = (current, prefix) => {
+    for (const dirent of fs.readdirSync(current, { withFileTypes: true })) {
+      const rel = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) {
+        walk(path.join(current, dirent.name), rel);
+      } else if (dirent.isSymbolicLink()) {
+        symlinks.push(rel);
+      } else if (dirent.isFile()) {
+        files.push(rel);
+      }
+    }
+  };
+  walk(dir, '');
+  // Compare code points, not locale, so the order is the same on every machine
+  const byCodePoint = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return { files: files.sort(byCodePoint), symlinks: symlinks.sort(byCodePoint) };
+}
+
+// ---------------------------------------------------------------------------
+// File selection
+// ---------------------------------------------------------------------------
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob to regular expression source
+ * Supports `*`, `?`, `**` (any number of directories) and `{a,b}`.
+ * @param {string} glob
+ * @returns {string}
+ */
+function globToSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i);
+      source += `(?:${glob.slice(i + 1, end).split(',').map(globToSource).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+/**
+ * Create a matcher for a list of globs, with .gitignore-like rules:
+ * a glob without "/" matches a file or directory name at any depth,
+ * one with "/" matches from the root of the output directory, and a
+ * matching directory matches every file inside it.
+ * @param {string[]} globs
+ * @returns {function(string): boolean} Tests a path relative to the output directory
+ */
+function createMatcher(globs) {
+  const patterns = globs.map((glob) => {
+    const trimmed = glob.replace(/\\/g, '/').replace(/\/$/, '');
+    // A leading "/" anchors too, so check before removing it
+    const normalized = trimmed.replace(/^\.?\//, '');
+    const anchored = trimmed.includes('/') ? normalized : `**/${normalized}`;
+    return new RegExp(`^${globToSource(anchored)}$`);
+  });
+
+  return (file) => {
+    const segments = file.split('/');
+    for (let length = segments.length; length > 0; length--) {
+      const candidate = segments.slice(0, length).join('/');
+      if (patterns.some((pattern) => pattern.test(candidate))) return true;
+    }
+    return false;
+  };
+}
+
+/**
+ * Select the files of a build output directory that go into the .qpp
+ * A file is packaged when it matches `include` (everything when unset) and
+ * matches neither `exclude` nor DEFAULT_PACKAGE_EXCLUDES. manifest.json is
+ * always packaged. Symlinks are never packaged.
+ * @param {string} dir - Build output directory
+ * @param {Object} [buildConfig] - The "build" config section
+ * @param {string[]} [buildConfig.include] - Globs of files to package
+ * @param {string[]} [buildConfig.exclude] - Globs of files to leave out
+ * @param {boolean} [buildConfig.defaultExcludes] - Apply DEFAULT_PACKAGE_EXCLUDES (default: true)
+ * @returns {Object} { files: [{ path, size }], excluded: string[], symlinks: string[] }, sorted by path
+ */
+export function selectFiles(dir, { include, exclude = [], defaultExcludes = true } = {}) {
+  const isIncluded = include?.length ? createMatcher(include) : () => true;
+  const isExcluded = createMatcher([...(defaultExcludes ? DEFAULT_PACKAGE_EXCLUDES : []), ...exclude]);
+
+  const files = [];
+  const excluded = [];
+  const { files: names, symlinks } = listFiles(dir);
+  for (const name of names) {
+    if (name === 'manifest.json' || (isIncluded(name) && !isExcluded(name))) {
+      files.push({ path: name, size: fs.statSync(path.join(dir, name)).size });
+    } else {
+      excluded.push(name);
+    }
+  }
+  return { files, excluded, symlinks };
+}
+
+/**
+ * Compress directory to .qpp file
+ *
+ * In reproducible mode entries are added in sorted order with a fixed
+ * timestamp and normalized permissions, so the same input always
+ * produces byte-identical output.
+ *
+ * @param {string} sourceDir - Directory to compress
+ * @param {string} outputPath - Output file path
+ * @param {Object} [options]
+ * @param {string[]} [options.files] - Sorted paths relative to sourceDir (default: all files but symlinks)
+ * @param {boolean} [options.reproducible] - Produce a deterministic archive
+ * @param {Date} [options.date] - Entry timestamp in reproducible mode (default: getSourceDate())
+ * @returns {Promise<Object>} Result with file size
+ */
+export async function compressToQpp(sourceDir, outputPath, options = {}) {
+  const date = options.reproducible ? options.date || getSourceDate() : null;
+  const files = options.files || listFiles(sourceDir).files;
+
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => {
+      resolve({
+        success: true,
+        size: archive.pointer(),
+        path: outputPath,
+      });
+    });
+
+    archive.on('error', (err) => {
+      reject(err);
+    });
+
+    archive.pipe(output);
+
+    if (options.reproducible) {
+      // append() queues entries in call order; file() would stat in parallel
+      for (const name of files) {
+        archive.append(fs.readFileSync(path.join(sourceDir, name)), {
+          name,
+          date,
+          mode: 0o644,
+        });
+      }
+    } else {
+      for (const name of files) {
+        archive.file(path.join(sourceDir, name), { name });
+      }
+    }
+
+    archive.finalize();
+  });
+}
+
+/**
+ * Compress a directory to a .qpp file and hash it
+ * Writes to a temp file and renames it, so a previous .qpp stays intact
+ * until the new one is complete (a device may be reading it in watch mode).
+ * @param {string} sourceDir - Directory to compress
+ * @param {string} outputPath - Output file path
+ * @param {Object} [options] - See compressToQpp()
+ * @returns {Promise<Object>} { size, sha256 }
+ */
+export async function writeQpp(sourceDir, outputPath, options = {}) {
+  const tempPath = `${outputPath}.${process.pid}.tmp`;
+  let size;
+  try {
+    ({ size } = await compressToQpp(sourceDir, tempPath, options));
+    fs.renameSync(tempPath, outputPath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+  return { size, sha256: await hashFile(outputPath) };
+}
+
+/**
+ * Compute the SHA-256 digest of a file
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Archive inspection
+// ---------------------------------------------------------------------------
+
+/**
+ * Check whether a ZIP entry was stored as a symbolic link
+ * @param {Object} entry - adm-zip entry
+ * @returns {boolean}
+ */
+function isSymlink(entry) {
+  return ((entry.attr >>> 16) & S_IFMT) === S_IFLNK;
+}
+
+/**
+ * Check a single entry name for unsafe paths
+ * @param {string} name - Entry name as stored in the archive
+ * @returns {string|null} Error message or null
+ */
+function checkEntryPath(name) {
+  if (/^(?:[/\\]|[a-zA-Z]:)/.test(name)) {
+    return `Absolute path in archive: ${name}`;
+  }
+  if (name.split(/[/\\]/).includes('..')) {
+    return `Path traversal ("..") in archive entry: ${name}`;
+  }
+  return null;
+}
+
+/**
+ * Format bytes as megabytes
+ * @param {number} bytes
+ * @returns {string}
+ */
+function toMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * Locate, parse and validate manifest.json inside the archive
+ * @param {AdmZip} zip - Opened archive
+ * @param {string[]} errors - Error list to append to
+ * @returns {Object|null} Parsed manifest or null
+ */
+function checkManifest(zip, errors) {
+  const entry = zip.getEntry('manifest.json');
+
+  if (!entry) {
+    const nested = zip
+      .getEntries()
+      .find(
+        (e) =>
+          e.entryName.endsWith('/manifest.json') &&
+          e.entryName.split('/').length === 2
+      );
+    if (nested) {
+      const folder = nested.entryName.split('/')[0];
+      errors.push(
+        `manifest.json found inside "${folder}/" folder. ` +
+          'It should be at the root of the ZIP. Rebuild with: quapp build'
+      );
+    } else {
+      errors.push('manifest.json not found in .qpp file. Rebuild with: quapp build');
+    }
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(entry.getData().toString('utf-8'));
+  } catch {
+    errors.push('Invalid JSON in manifest.json');
+    return null;
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    errors.push('manifest.json must contain a JSON object');
+    return null;
+  }
+
+  errors.push(...validateManifest(manifest));
+
+  if (typeof manifest.entry_point === 'string' && !zip.getEntry(manifest.entry_point)) {
+    errors.push(`Entry point not found in archive: ${manifest.entry_point}`);
+  }
+
+  return manifest;
+}
+
+/**
+ * Inspect a .qpp archive without extracting it
+ *
+ * Never throws for a malformed package; every problem is reported in
+ * `errors` (blocks publishing) or `warnings` (worth a look).
+ *
+ * @param {string} filePath - Absolute path to .qpp file
+ * @returns {Object} { valid, manifest, fileCount, size, uncompressedSize, errors, warnings }
+ */
+export function inspectQpp(filePath) {
+  const errors = [];
+  const warnings = [];
+  const report = {
+    valid: false,
+    manifest: null,
+    fileCount: 0,
+    size: 0,
+    uncompressedSize: 0,
+    errors,
+    warnings,
+  };
+
+  if (!filePath.endsWith('.qpp')) {
+    errors.push('File must have .qpp extension.');
+  }
+
+  report.size = fs.statSync(filePath).size;
+  if (report.size > MAX_QPP_FILE_SIZE) {
+    errors.push(`File exceeds ${toMB(MAX_QPP_FILE_SIZE)} limit (${toMB(report.size)}).`);
+  }
+
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (err) {
+    errors.push(`Not a valid ZIP archive: ${err.message}`);
+    return report;
+  }
+
+  // Archive-level checks
+  const seen = new Set();
+  for (const entry of zip.getEntries()) {
+    const name = entry.entryName;
+
+    const pathError = checkEntryPath(name);
+    if (pathError) errors.push(pathError);
+
+    if (seen.has(name)) {
+      errors.push(`Duplicate entry in archive: ${name}`);
+    }
+    seen.add(name);
+
+    if (isSymlink(entry)) {
+      errors.push(`Symbolic link in archive: ${name}`);
+    }
+
+    if (!entry.isDirectory) {
+      report.fileCount++;
+      report.uncompressedSize += entry.header.size;
+      if (entry.header.size > MAX_QPP_ENTRY_SIZE) {
+        warnings.push(
+          `Large file in archive: ${name} (${toMB(entry.header.size)}, limit ${toMB(MAX_QPP_ENTRY_SIZE)})`
+        );
+      }
+    }
+  }
+
+  // Manifest checks
+  report.manifest = checkManifest(zip, errors);
+  report.valid = errors.length === 0;
+
+  return report;
+}
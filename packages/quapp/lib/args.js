@@ -5,6 +5,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { VISIBILITY_OPTIONS, RELEASE_CHANNELS, TOKEN_SCOPES, PACKAGE_MANAGERS } from './constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,26 +42,47 @@ export function getHelpText() {
   login               Sign in to your Quapp developer account
   logout              Sign out and remove stored credentials
   whoami              Show the currently logged-in user
+  use <profile>       Switch the default auth profile
   publish             Upload and publish a .qpp file to the Quapp Store
+  validate [file]     Check a .qpp file offline (no login required)
+  doctor              Diagnose the environment, project and login
+  promote <id>        Move a published release to another channel
+  releases [package]  List published releases (also: show <id>, rollback <id>)
+  registry [action]   Manage store registries (list, add, remove, use)
+  tokens [action]     Manage deploy tokens for CI (list, create, revoke)
 
 \x1b[1mGlobal Options:\x1b[0m
   --no-color          Disable colored output
   --json              Output result as JSON (for automation/AI)
   --verbose           Show detailed logs
+  --api-url <url>     Use another store API (e.g. self-hosted or local)
+  --registry <name>   Use a named registry from ~/.quapp/registries.json
+  --token-file <path> Read a deploy token from a file (instead of QUAPP_TOKEN)
   -v, --version       Show version number
   -h, --help          Show this help message
 
+\x1b[1mProfile Options:\x1b[0m
+  --profile <name>    serve, build, publish: apply a named profile from quapp.config.json
+                      login, logout, whoami: use this auth profile (account)
+  --auth-profile <name>
+                      publish, promote, releases, tokens: use this auth profile (account)
+
 \x1b[1mServe Options:\x1b[0m
   -p, --port <port>   Port to run server on (default: 5173)
   --host <host>       Host to bind to (default: auto-detected LAN IP)
   --no-qr             Disable QR code display
   --open              Open browser automatically
   --https             Enable HTTPS
+  --pm <name>         Package manager: npm, pnpm, yarn or bun (default: detected)
 
 \x1b[1mBuild Options:\x1b[0m
   -o, --output <file> Output file name (default: dist.qpp)
   --no-clean          Keep dist folder after compression
   --skip-prompts      Skip interactive prompts (use package.json as-is)
+  -w, --watch         Rebuild and re-package the .qpp on every change
+  --reproducible      Deterministic archive (sorted entries, fixed timestamps)
+  --list              Print the files that would be packaged, without writing the .qpp
+  --pm <name>         Package manager: npm, pnpm, yarn or bun (default: detected)
 
 \x1b[1mInit Options:\x1b[0m
   -y, --yes           Skip confirmation prompt
@@ -70,11 +92,50 @@ export function getHelpText() {
 \x1b[1mLogin Options:\x1b[0m
   --email <email>     Account email (skip interactive prompt)
   --password <pass>   Account password (skip interactive prompt)
+  --web               Sign in through the browser (OAuth accounts, MFA)
+  --otp <code>        6-digit authenticator code for two-factor accounts
+
+\x1b[1mLogout Options:\x1b[0m
+  --all               Sign out every session of the account, on all devices
+
+\x1b[1mWhoami Options:\x1b[0m
+  --all               List every stored auth profile
 
 \x1b[1mPublish Options:\x1b[0m
   --file <path>       Path to .qpp file (default: ./dist.qpp)
   -n, --notes <text>  Release notes
   --visibility <vis>  Visibility: public, unlisted, or private (default: public)
+  --channel <ch>      Release channel: beta or stable (default: stable)
+  --rollout <pct>     Staged rollout percentage, 1-100 (default: 100)
+
+\x1b[1mPromote Options:\x1b[0m
+  <release-id>        Release to promote (printed by publish)
+  --to <ch>           Target channel: beta or stable (default: stable)
+  --rollout <pct>     Rollout percentage on the target channel, 1-100
+
+\x1b[1mReleases Options:\x1b[0m
+  [package]           Package to list (default: the current project)
+  -y, --yes           Skip the rollback confirmation
+
+\x1b[1mRegistry Options:\x1b[0m
+  list                List registries (default; * marks the active one)
+  add <name> <url>    Add or update a registry
+  remove <name>       Remove a registry
+  use <name>          Make a registry the default
+  --anon-key <key>    Supabase anon key of the registry (add)
+
+\x1b[1mTokens Options:\x1b[0m
+  list                List deploy tokens (default)
+  create              Create a deploy token (printed once)
+  revoke <id>         Revoke a deploy token
+  --name <name>       Token name (create)
+  --scope <scope>     ${TOKEN_SCOPES.join(', ')}; repeat or comma-separate (default: publish)
+  --package <name>    Restrict the token to one package
+  --expires <days>    Expire after this many days (default: never)
+
+\x1b[1mValidate Options:\x1b[0m
+  [file]              Path to .qpp file (default: ./dist.qpp)
+  --file <path>       Same as the positional argument
 
 \x1b[1mExamples:\x1b[0m
   \x1b[36m# Start dev server\x1b[0m
@@ -83,21 +144,66 @@ export function getHelpText() {
   \x1b[36m# Build for production\x1b[0m
   quapp build
 
+  \x1b[36m# Build and publish the staging variant\x1b[0m
+  quapp build --profile staging && quapp publish --profile staging
+
+  \x1b[36m# Re-package on every change while testing on a device\x1b[0m
+  quapp build --watch
+
+  \x1b[36m# Build with pnpm, whatever the lockfile says\x1b[0m
+  quapp build --pm pnpm
+
+  \x1b[36m# Check what goes into the .qpp\x1b[0m
+  quapp build --list
+
   \x1b[36m# Sign in interactively\x1b[0m
   quapp login
 
+  \x1b[36m# Sign in with the browser (Google/GitHub accounts, MFA)\x1b[0m
+  quapp login --web
+
   \x1b[36m# Sign in non-interactively (AI-friendly)\x1b[0m
   quapp login --email dev@example.com --password mypass123
+  quapp login --email dev@example.com --password mypass123 --otp 123456
 
   \x1b[36m# Check who is logged in\x1b[0m
   quapp whoami
 
+  \x1b[36m# Find out why serve, build or publish does not work\x1b[0m
+  quapp doctor
+
+  \x1b[36m# Sign out on every device (e.g. after a lost laptop)\x1b[0m
+  quapp logout --all
+
+  \x1b[36m# Keep a second account and switch to it\x1b[0m
+  quapp login --profile work
+  quapp use work
+
   \x1b[36m# Build and publish\x1b[0m
   quapp build && quapp publish
 
   \x1b[36m# Publish a specific file with release notes\x1b[0m
   quapp publish --file ./myapp.qpp --notes "Bug fixes" --visibility unlisted
 
+  \x1b[36m# Ship to testers first, then promote to 20% of stable users\x1b[0m
+  quapp publish --channel beta
+  quapp promote <release-id> --to stable --rollout 20
+
+  \x1b[36m# See what is live and roll back a bad release\x1b[0m
+  quapp releases
+  quapp releases rollback <release-id>
+
+  \x1b[36m# Check a package in CI before uploading\x1b[0m
+  quapp validate dist.qpp --json
+
+  \x1b[36m# Publish to a local store while developing the backend\x1b[0m
+  quapp registry add local http://localhost:54321 --anon-key <key>
+  quapp publish --registry local
+
+  \x1b[36m# Publish from CI with a publish-only deploy token\x1b[0m
+  quapp tokens create --name ci --scope publish --package com.acme.notes
+  QUAPP_TOKEN=<token> quapp publish --json
+
   \x1b[36m# Full automation (AI-friendly)\x1b[0m
   quapp publish --file dist.qpp --json
 
@@ -114,6 +220,17 @@ export function getHelpText() {
     "build": {
       "outDir": "dist",
       "outputFile": "dist.qpp"
+    },
+    "manifest": {
+      "permissions": ["camera", "storage"]
+    },
+    "profiles": {
+      "staging": {
+        "env": { "VITE_API_URL": "https://staging.example.com" },
+        "build": { "outputFile": "staging.qpp" },
+        "manifest": { "packageNameSuffix": ".staging" },
+        "publish": { "visibility": "unlisted" }
+      }
     }
   }
 
@@ -129,6 +246,21 @@ export function getHelpText() {
 function validateCommandFlags(args) {
   if (!args.command) return;
 
+  // Check profile flag (config profiles: serve, build, publish; auth profiles: login, logout, whoami)
+  if (!['serve', 'build', 'publish', 'login', 'logout', 'whoami'].includes(args.command)) {
+    if (args.profile !== null) args.errors.push(`Flag "--profile" is only valid for "serve", "build", "publish", "login", "logout" and "whoami" commands`);
+  }
+
+  // Check auth profile flag (commands that also read quapp.config.json)
+  if (!['publish', 'promote', 'releases', 'tokens'].includes(args.command)) {
+    if (args.authProfile !== null) args.errors.push(`Flag "--auth-profile" is only valid for "publish", "promote", "releases" and "tokens" commands`);
+  }
+
+  // Check logout/whoami-specific flags
+  if (!['logout', 'whoami'].includes(args.command)) {
+    if (args.all === true) args.errors.push(`Flag "--all" is only valid for "logout" and "whoami" commands`);
+  }
+
   // Check serve-specific flags
   if (args.command !== 'serve') {
     if (args.port !== null) args.errors.push(`Flag "--port" is only valid for "serve" command`);
@@ -138,16 +270,28 @@ function validateCommandFlags(args) {
     if (args.https === true) args.errors.push(`Flag "--https" is only valid for "serve" command`);
   }
 
+  // Check package manager flag
+  if (!['serve', 'build'].includes(args.command)) {
+    if (args.pm !== null) args.errors.push(`Flag "--pm" is only valid for "serve" and "build" commands`);
+  }
+
   // Check build-specific flags
   if (args.command !== 'build') {
     if (args.output !== null) args.errors.push(`Flag "--output" is only valid for "build" command`);
     if (args.clean === false) args.errors.push(`Flag "--no-clean" is only valid for "build" command`);
     if (args.skipPrompts === true) args.errors.push(`Flag "--skip-prompts" is only valid for "build" command`);
+    if (args.watch === true) args.errors.push(`Flag "--watch" is only valid for "build" command`);
+    if (args.reproducible === true) args.errors.push(`Flag "--reproducible" is only valid for "build" command`);
+    if (args.list === true) args.errors.push(`Flag "--list" is only valid for "build" command`);
+  } else if (args.list && args.watch) {
+    args.errors.push('Flag "--list" cannot be combined with "--watch"');
   }
 
   // Check init-specific flags
+  if (args.command !== 'init' && args.command !== 'releases') {
+    if (args.yes === true) args.errors.push(`Flag "--yes" is only valid for "init" and "releases" commands`);
+  }
   if (args.command !== 'init') {
-    if (args.yes === true) args.errors.push(`Flag "--yes" is only valid for "init" command`);
     if (args.force === true) args.errors.push(`Flag "--force" is only valid for "init" command`);
     if (args.dryRun === true) args.errors.push(`Flag "--dry-run" is only valid for "init" command`);
   }
@@ -156,14 +300,40 @@ function validateCommandFlags(args) {
   if (args.command !== 'login') {
     if (args.email !== null) args.errors.push(`Flag "--email" is only valid for "login" command`);
     if (args.password !== null) args.errors.push(`Flag "--password" is only valid for "login" command`);
+    if (args.web === true) args.errors.push(`Flag "--web" is only valid for "login" command`);
+    if (args.otp !== null) args.errors.push(`Flag "--otp" is only valid for "login" command`);
+  } else if (args.web && (args.email !== null || args.password !== null || args.otp !== null)) {
+    args.errors.push('Flag "--web" cannot be combined with "--email", "--password" or "--otp"');
   }
 
   // Check publish-specific flags
+  if (args.command !== 'publish' && args.command !== 'validate') {
+    if (args.file !== null) args.errors.push(`Flag "--file" is only valid for "publish" and "validate" commands`);
+  }
+  if (args.command !== 'publish' && args.command !== 'promote') {
+    if (args.rollout !== null) args.errors.push(`Flag "--rollout" is only valid for "publish" and "promote" commands`);
+  }
+  if (args.command !== 'promote') {
+    if (args.to !== null) args.errors.push(`Flag "--to" is only valid for "promote" command`);
+  }
   if (args.command !== 'publish') {
-    if (args.file !== null) args.errors.push(`Flag "--file" is only valid for "publish" command`);
+    if (args.channel !== null) args.errors.push(`Flag "--channel" is only valid for "publish" command`);
     if (args.notes !== null) args.errors.push(`Flag "--notes" is only valid for "publish" command`);
     if (args.visibility !== null) args.errors.push(`Flag "--visibility" is only valid for "publish" command`);
   }
+
+  // Check registry-specific flags
+  if (args.command !== 'registry') {
+    if (args.anonKey !== null) args.errors.push(`Flag "--anon-key" is only valid for "registry" command`);
+  }
+
+  // Check tokens-specific flags
+  if (args.command !== 'tokens') {
+    if (args.tokenName !== null) args.errors.push(`Flag "--name" is only valid for "tokens" command`);
+    if (args.scopes.length > 0) args.errors.push(`Flag "--scope" is only valid for "tokens" command`);
+    if (args.tokenPackage !== null) args.errors.push(`Flag "--package" is only valid for "tokens" command`);
+    if (args.expires !== null) args.errors.push(`Flag "--expires" is only valid for "tokens" command`);
+  }
 }
 
 /**
@@ -172,7 +342,10 @@ function validateCommandFlags(args) {
  * @returns {Object}
  */
 export function parseArgs(argv) {
-  const KNOWN_COMMANDS = ['serve', 'build', 'init', 'login', 'logout', 'whoami', 'publish'];
+  const KNOWN_COMMANDS = ['serve', 'build', 'init', 'login', 'logout', 'whoami', 'publish', 'validate', 'promote', 'releases', 'registry', 'tokens', 'use', 'doctor'];
+  const RELEASES_ACTIONS = ['list', 'show', 'rollback'];
+  const REGISTRY_ACTIONS = ['list', 'add', 'remove', 'use'];
+  const TOKENS_ACTIONS = ['list', 'create', 'revoke'];
 
   const args = {
     command: null,
@@ -183,6 +356,17 @@ export function parseArgs(argv) {
     json: false,
     verbose: false,
     noColor: false,
+    apiUrl: null,
+    registry: null,
+    tokenFile: null,
+    
+    // Profile (serve, build, publish)
+    profile: null,
+    // Auth profile (publish, promote, releases, tokens)
+    authProfile: null,
+    
+    // Package manager (serve, build)
+    pm: null,
     
     // Serve options
     port: null,
@@ -195,6 +379,9 @@ export function parseArgs(argv) {
     output: null,
     clean: true,
     skipPrompts: false,
+    watch: false,
+    reproducible: false,
+    list: false,
     
     // Init options
     yes: false,
@@ -204,11 +391,39 @@ export function parseArgs(argv) {
     // Login options
     email: null,
     password: null,
+    web: false,
+    otp: null,
+    
+    // Auth profile options (whoami, use)
+    all: false,
+    authProfileName: null,
     
     // Publish options
     file: null,
     notes: null,
     visibility: null,
+    channel: null,
+    rollout: null,
+    
+    // Promote / releases options
+    releaseId: null,
+    to: null,
+    releasesAction: null,
+    packageName: null,
+    
+    // Registry options
+    registryAction: null,
+    registryName: null,
+    registryUrl: null,
+    anonKey: null,
+    
+    // Tokens options
+    tokensAction: null,
+    tokenId: null,
+    tokenName: null,
+    scopes: [],
+    tokenPackage: null,
+    expires: null,
     
     // Extra args to forward
     extra: [],
@@ -263,6 +478,159 @@ export function parseArgs(argv) {
       continue;
     }
 
+    // API URL
+    if (arg === '--api-url') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--api-url" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      if (!/^https?:\/\/\S+$/.test(value)) {
+        args.errors.push(`Invalid API URL: "${value}". Must start with http:// or https://`);
+      } else {
+        args.apiUrl = value;
+      }
+      i++;
+      continue;
+    }
+
+    // Registry
+    if (arg === '--registry') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--registry" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      args.registry = value;
+      i++;
+      continue;
+    }
+
+    // Token file
+    if (arg === '--token-file') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--token-file" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      args.tokenFile = value;
+      i++;
+      continue;
+    }
+
+    // Token name / package (tokens create)
+    if (arg === '--name' || arg === '--package') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push(`Flag "${arg}" requires a value`);
+        i++;
+        continue;
+      }
+      i++;
+      if (arg === '--name') {
+        args.tokenName = value;
+      } else {
+        args.tokenPackage = value;
+      }
+      i++;
+      continue;
+    }
+
+    // Token scopes (tokens create), repeatable or comma-separated
+    if (arg === '--scope') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--scope" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      for (const scope of value.split(',').map((s) => s.trim()).filter(Boolean)) {
+        if (!TOKEN_SCOPES.includes(scope)) {
+          args.errors.push(`Invalid scope: "${scope}". Must be: ${TOKEN_SCOPES.join(', ')}`);
+        } else if (!args.scopes.includes(scope)) {
+          args.scopes.push(scope);
+        }
+      }
+      i++;
+      continue;
+    }
+
+    // Token expiry in days (tokens create)
+    if (arg === '--expires') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--expires" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      const days = Number(value.replace(/d$/, ''));
+      if (!Number.isInteger(days) || days < 1) {
+        args.errors.push(`Invalid expiry: "${value}". Must be a number of days, e.g. 90`);
+      } else {
+        args.expires = days;
+      }
+      i++;
+      continue;
+    }
+
+    // Anon key (registry add)
+    if (arg === '--anon-key') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--anon-key" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      args.anonKey = value;
+      i++;
+      continue;
+    }
+
+    // Profile
+    if (arg === '--profile') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--profile" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      if (!/^[\w.-]+$/.test(value)) {
+        args.errors.push(`Invalid profile name: "${value}". Use letters, numbers, ".", "_" or "-"`);
+      } else {
+        args.profile = value;
+      }
+      i++;
+      continue;
+    }
+
+    // Package manager
+    if (arg === '--pm') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--pm" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      if (!PACKAGE_MANAGERS.includes(value)) {
+        args.errors.push(`Invalid package manager: "${value}". Must be: ${PACKAGE_MANAGERS.join(', ')}`);
+      } else {
+        args.pm = value;
+      }
+      i++;
+      continue;
+    }
+
     // Port
     if (arg === '-p' || arg === '--port') {
       const value = argv[i + 1];
@@ -345,6 +713,27 @@ export function parseArgs(argv) {
       continue;
     }
 
+    // Watch
+    if (arg === '-w' || arg === '--watch') {
+      args.watch = true;
+      i++;
+      continue;
+    }
+
+    // Reproducible archive
+    if (arg === '--reproducible') {
+      args.reproducible = true;
+      i++;
+      continue;
+    }
+
+    // List packaged files
+    if (arg === '--list') {
+      args.list = true;
+      i++;
+      continue;
+    }
+
     // Yes (skip confirmation)
     if (arg === '-y' || arg === '--yes') {
       args.yes = true;
@@ -366,6 +755,38 @@ export function parseArgs(argv) {
       continue;
     }
 
+    // All profiles (whoami)
+    if (arg === '--all') {
+      args.all = true;
+      i++;
+      continue;
+    }
+
+    // Browser login
+    if (arg === '--web') {
+      args.web = true;
+      i++;
+      continue;
+    }
+
+    // One-time code (login)
+    if (arg === '--otp') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--otp" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      if (!/^\d{6}$/.test(value)) {
+        args.errors.push(`Invalid code: "${value}". Must be the 6-digit code from your authenticator app`);
+      } else {
+        args.otp = value;
+      }
+      i++;
+      continue;
+    }
+
     // Email (login)
     if (arg === '--email') {
       const value = argv[i + 1];
@@ -394,6 +815,24 @@ export function parseArgs(argv) {
       continue;
     }
 
+    // Auth profile (publish, promote, releases, tokens)
+    if (arg === '--auth-profile') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--auth-profile" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      if (!/^[\w.-]+$/.test(value)) {
+        args.errors.push(`Invalid profile name: "${value}". Use letters, numbers, ".", "_" or "-"`);
+      } else {
+        args.authProfile = value;
+      }
+      i++;
+      continue;
+    }
+
     // File (publish)
     if (arg === '--file') {
       const value = argv[i + 1];
@@ -431,9 +870,8 @@ export function parseArgs(argv) {
         continue;
       }
       i++;
-      const valid = ['public', 'unlisted', 'private'];
-      if (!valid.includes(value)) {
-        args.errors.push(`Invalid visibility: "${value}". Must be: ${valid.join(', ')}`);
+      if (!VISIBILITY_OPTIONS.includes(value)) {
+        args.errors.push(`Invalid visibility: "${value}". Must be: ${VISIBILITY_OPTIONS.join(', ')}`);
       } else {
         args.visibility = value;
       }
@@ -441,6 +879,45 @@ export function parseArgs(argv) {
       continue;
     }
 
+    // Channel (publish) / target channel (promote)
+    if (arg === '--channel' || arg === '--to') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push(`Flag "${arg}" requires a value`);
+        i++;
+        continue;
+      }
+      i++;
+      if (!RELEASE_CHANNELS.includes(value)) {
+        args.errors.push(`Invalid channel: "${value}". Must be: ${RELEASE_CHANNELS.join(', ')}`);
+      } else if (arg === '--to') {
+        args.to = value;
+      } else {
+        args.channel = value;
+      }
+      i++;
+      continue;
+    }
+
+    // Rollout percentage (publish, promote)
+    if (arg === '--rollout') {
+      const value = argv[i + 1];
+      if (!value || value.startsWith('-')) {
+        args.errors.push('Flag "--rollout" requires a value');
+        i++;
+        continue;
+      }
+      i++;
+      const rollout = Number(value.replace(/%$/, ''));
+      if (!Number.isInteger(rollout) || rollout < 1 || rollout > 100) {
+        args.errors.push(`Invalid rollout: "${value}". Must be an integer from 1 to 100`);
+      } else {
+        args.rollout = rollout;
+      }
+      i++;
+      continue;
+    }
+
     // Unknown flag
     if (arg.startsWith('-')) {
       // Check if it's a known invalid flag for current command
@@ -453,6 +930,83 @@ export function parseArgs(argv) {
       continue;
     }
 
+    // Positional profile name (use)
+    if (args.command === 'use' && args.authProfileName === null) {
+      if (!/^[\w.-]+$/.test(arg)) {
+        args.errors.push(`Invalid profile name: "${arg}". Use letters, numbers, ".", "_" or "-"`);
+      } else {
+        args.authProfileName = arg;
+      }
+      i++;
+      continue;
+    }
+
+    // Positional file (validate)
+    if (args.command === 'validate' && args.file === null) {
+      args.file = arg;
+      i++;
+      continue;
+    }
+
+    // Positional release ID (promote)
+    if (args.command === 'promote' && args.releaseId === null) {
+      args.releaseId = arg;
+      i++;
+      continue;
+    }
+
+    // Positionals (releases): [list|show|rollback] then package or release ID
+    if (args.command === 'releases') {
+      if (args.releasesAction === null && args.packageName === null && RELEASES_ACTIONS.includes(arg)) {
+        args.releasesAction = arg;
+        i++;
+        continue;
+      }
+      if ((args.releasesAction === 'show' || args.releasesAction === 'rollback') && args.releaseId === null) {
+        args.releaseId = arg;
+        i++;
+        continue;
+      }
+      if ((args.releasesAction === null || args.releasesAction === 'list') && args.packageName === null) {
+        args.packageName = arg;
+        i++;
+        continue;
+      }
+    }
+
+    // Positionals (registry): [list|add|remove|use] <name> [url]
+    if (args.command === 'registry') {
+      if (args.registryAction === null && REGISTRY_ACTIONS.includes(arg)) {
+        args.registryAction = arg;
+        i++;
+        continue;
+      }
+      if (args.registryAction && args.registryAction !== 'list' && args.registryName === null) {
+        args.registryName = arg;
+        i++;
+        continue;
+      }
+      if (args.registryAction === 'add' && args.registryUrl === null) {
+        args.registryUrl = arg;
+        i++;
+        continue;
+      }
+    }
+
+    // Positionals (tokens): [list|create|revoke] then token ID
+    if (args.command === 'tokens') {
+      if (args.tokensAction === null && TOKENS_ACTIONS.includes(arg)) {
+        args.tokensAction = arg;
+        i++;
+        continue;
+      }
+      if (args.tokensAction === 'revoke' && args.tokenId === null) {
+        args.tokenId = arg;
+        i++;
+        continue;
+      }
+    }
+
     // Unknown positional
     if (args.command) {
       args.errors.push(`Unexpected argument: "${arg}". Run "quapp ${args.command} --help" for usage`);
@@ -4,27 +4,164 @@
 
 import fs from 'fs';
 import path from 'path';
-import { DEFAULT_SERVER_CONFIG } from './constants.js';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import {
+  CONFIG_FILES,
+  DEFAULT_SERVER_CONFIG,
+  GENERATED_MANIFEST_FIELDS,
+} from './constants.js';
+import { validateConfigSchema, locateJsonError } from './schema.js';
 
 /**
- * Load quapp.config.json from project root
+ * Check for a plain (non-array) object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge two config objects; arrays and scalars in override replace base
+ * @param {Object} base
+ * @param {Object} override
+ * @returns {Object} New merged object
+ */
+function deepMerge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Import the Vite installed in the project
+ * @param {string} cwd - Project root
+ * @returns {Promise<Object>} Vite's Node API
+ * @throws {Error} If Vite is not installed
+ */
+async function importProjectVite(cwd) {
+  const require = createRequire(path.join(cwd, 'package.json'));
+  let pkgPath;
+  try {
+    pkgPath = require.resolve('vite/package.json');
+  } catch {
+    throw new Error('Vite is not installed. Run "npm install" to install dependencies first.');
+  }
+
+  const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+  const pick = (entry) => (entry && typeof entry === 'object' ? pick(entry.import ?? entry.default) : entry);
+  const entry = pick(pkg.exports?.['.']) || pkg.module || pkg.main;
+  return import(pathToFileURL(path.join(path.dirname(pkgPath), entry)).href);
+}
+
+/**
+ * Evaluate quapp.config.js, .mjs or .ts
+ * A function export is called with the env, like vite.config. TypeScript is
+ * bundled with the project's Vite unless Node can strip types itself.
+ * @param {string} filePath
+ * @param {Object} env - { command, mode, profile }
+ * @param {string} cwd - Project root
+ * @returns {Promise<*>} The exported config
+ */
+async function importConfigFile(filePath, env, cwd) {
+  if (filePath.endsWith('.ts') && !process.features.typescript) {
+    const vite = await importProjectVite(cwd);
+    const result = await vite.loadConfigFromFile(env, filePath, cwd, 'silent');
+    return result?.config;
+  }
+
+  const mod = await import(pathToFileURL(filePath).href);
+  return typeof mod.default === 'function' ? mod.default(env) : mod.default;
+}
+
+/**
+ * Read quapp.config.json
+ * @param {string} configPath
+ * @returns {Object} { userConfig, configError, configErrorLocation }
+ */
+function readJsonConfig(configPath) {
+  let data = null;
+  try {
+    data = fs.readFileSync(configPath, 'utf-8');
+    return { userConfig: JSON.parse(data), configError: null, configErrorLocation: null };
+  } catch (err) {
+    const location = data !== null ? locateJsonError(data) : null;
+    if (!location) {
+      return { userConfig: null, configError: `Invalid quapp.config.json: ${err.message}`, configErrorLocation: null };
+    }
+    return {
+      userConfig: null,
+      configError: `Invalid quapp.config.json at ${configPath}:${location.line}:${location.column}: ${location.message}`,
+      configErrorLocation: { file: configPath, line: location.line, column: location.column },
+    };
+  }
+}
+
+/**
+ * Load the project config: quapp.config.js, .mjs, .ts or .json (first found)
  * @param {string} cwd - Current working directory
- * @returns {Object} Merged configuration
+ * @param {Object} [options]
+ * @param {string|null} [options.profile] - Named profile to merge over the base config
+ * @param {string|null} [options.command] - Command being run, passed to function configs
+ * @param {Object|null} [options.overrides] - Config from the Node API, merged over the file and profile
+ * @returns {Promise<Object>} { config, configLoaded, configFile, configError, configErrorLocation, schemaErrors, profileError, configPath }
  */
-export function loadConfig(cwd = process.cwd()) {
-  const configPath = path.join(cwd, 'quapp.config.json');
-  
+export async function loadConfig(cwd = process.cwd(), { profile = null, command = null, overrides = null } = {}) {
+  const configFile = CONFIG_FILES.find((name) => fs.existsSync(path.join(cwd, name))) || null;
+  const configPath = path.join(cwd, configFile || 'quapp.config.json');
+
   let userConfig = {};
   let configLoaded = false;
   let configError = null;
+  let configErrorLocation = null;
+  let schemaErrors = [];
+  let profileError = null;
 
-  if (fs.existsSync(configPath)) {
-    try {
-      const data = fs.readFileSync(configPath, 'utf-8');
-      userConfig = JSON.parse(data);
+  if (configFile) {
+    let loaded = null;
+    if (configFile.endsWith('.json')) {
+      ({ userConfig: loaded, configError, configErrorLocation } = readJsonConfig(configPath));
+    } else {
+      // Same defaults as Vite: the profile is the mode, else development for serve
+      const env = { command, mode: profile || (command === 'serve' ? 'development' : 'production'), profile };
+      try {
+        loaded = await importConfigFile(configPath, env, cwd);
+      } catch (err) {
+        configError = `Failed to load ${configFile}: ${err.message}`;
+      }
+    }
+
+    if (!configError) {
       configLoaded = true;
-    } catch (err) {
-      configError = `Invalid quapp.config.json: ${err.message}`;
+      schemaErrors = validateConfigSchema(loaded, configFile);
+      // Not an object: reported above, continue with the defaults
+      userConfig = isPlainObject(loaded) ? loaded : {};
+    }
+  }
+
+  // Apply the selected profile over the base config; when the file did not
+  // load, its profiles are unknown and configError is the one to report
+  if (profile && !configError) {
+    const profiles = isPlainObject(userConfig.profiles) ? userConfig.profiles : {};
+    if (isPlainObject(profiles[profile])) {
+      userConfig = deepMerge(userConfig, profiles[profile]);
+    } else {
+      const names = Object.keys(profiles);
+      profileError = `Unknown profile "${profile}". ` + (names.length > 0
+        ? `Available profiles: ${names.join(', ')}`
+        : 'No profiles are defined in quapp.config.json');
+    }
+  }
+
+  if (overrides) {
+    schemaErrors = [...schemaErrors, ...validateConfigSchema(overrides, 'config overrides')];
+    if (isPlainObject(overrides)) {
+      userConfig = deepMerge(userConfig, overrides);
     }
   }
 
@@ -39,16 +176,108 @@ export function loadConfig(cwd = process.cwd()) {
       outputFile: 'dist.qpp',
       ...(userConfig.build || {}),
     },
+    manifest: {
+      permissions: [],
+      ...(userConfig.manifest || {}),
+    },
+    publish: {
+      ...(userConfig.publish || {}),
+    },
+    env: {
+      ...(userConfig.env || {}),
+    },
+    // Shell commands run around the build (lib/hooks.js)
+    hooks: {
+      ...(userConfig.hooks || {}),
+    },
+    // Store API: a registry name from ~/.quapp/registries.json, or an explicit endpoint
+    registry: userConfig.registry || null,
+    api: userConfig.api || null,
+    // Auth profile (see `quapp login --profile`) used in this project
+    authProfile: userConfig.authProfile || null,
+    // Package manager for scripts and Vite; null = detect (lib/package-manager.js)
+    packageManager: userConfig.packageManager || null,
+    profile: profileError ? null : profile,
+    // Vite mode: explicit "mode", else the profile name
+    mode: userConfig.mode || (profileError ? null : profile),
   };
 
   return {
     config,
     configLoaded,
+    configFile,
     configError,
+    configErrorLocation,
+    schemaErrors,
+    profileError,
     configPath,
   };
 }
 
+/**
+ * Validate the manifest section of quapp.config.json
+ * Types, ranges and patterns are checked by the schema; this only covers
+ * fields that would clash with what the CLI generates.
+ * @param {Object} manifestConfig - Merged config.manifest
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateManifestConfig(manifestConfig) {
+  const extra = isPlainObject(manifestConfig.extra) ? manifestConfig.extra : {};
+  return Object.keys(extra)
+    .filter((key) => GENERATED_MANIFEST_FIELDS.includes(key))
+    .map((key) =>
+      `"manifest.extra.${key}" in quapp.config.json would override a generated field. ` +
+        'Use the dedicated "manifest" option instead'
+    );
+}
+
+/**
+ * Validate the "registry", "api" and "authProfile" settings
+ * Checks them against the schema on their own, because store commands use
+ * them even when another part of the config is invalid (quapp registry),
+ * then requires an "api.url", which a profile may inherit from the base config.
+ * @param {Object} config - Config returned by loadConfig
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateApiConfig(config) {
+  const settings = {};
+  for (const key of ['registry', 'api', 'authProfile']) {
+    if (config[key] !== null) settings[key] = config[key];
+  }
+
+  const errors = validateConfigSchema(settings);
+  if (errors.length === 0 && settings.api && settings.api.url === undefined) {
+    errors.push('"api" in quapp.config.json must have a "url"');
+  }
+  return errors;
+}
+
+/**
+ * Validate a merged configuration (after profile selection)
+ * Runs after the schema check, so only rules that depend on the merged
+ * result are left here.
+ * @param {Object} config - Config returned by loadConfig
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateConfig(config) {
+  return [...validateManifestConfig(config.manifest), ...validateApiConfig(config)];
+}
+
+/**
+ * Collect the problems of a loaded config
+ * A file that does not load (syntax error, throwing JS config) is a problem
+ * on its own: falling back to the defaults would silently change the app's
+ * identity. Schema errors (types, unknown keys, enums) come next; the
+ * semantic checks of validateConfig only run once the file matches the
+ * schema, so one mistake is not reported twice.
+ * @param {Object} loaded - Result of loadConfig
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function getConfigErrors(loaded) {
+  if (loaded.configError) return [loaded.configError];
+  return loaded.schemaErrors.length > 0 ? loaded.schemaErrors : validateConfig(loaded.config);
+}
+
 /**
  * Load and validate package.json
  * @param {string} cwd - Current working directory
@@ -0,0 +1,122 @@
+/**
+ * Per-run setup for commands that talk to the store API
+ *
+ * Selects the store API (--api-url, --registry, env, project config, ~/.quapp),
+ * the credential backend, the auth profile and the deploy token. Shared by
+ * bin/cli.js and the Node API, which report failures in their own way.
+ */
+
+import * as logger from './logger.js';
+import { EXIT_CODES } from './constants.js';
+import { loadConfig, validateApiConfig } from './config.js';
+import { initApi } from './api.js';
+import {
+  setTokenFile,
+  getDeployToken,
+  initCredentialStore,
+  setAuthProfile,
+  getAuthProfile,
+} from './credentials.js';
+
+// Commands where --profile names an auth profile rather than a config profile;
+// the others select one with --auth-profile
+const AUTH_PROFILE_COMMANDS = ['login', 'logout', 'whoami'];
+
+/**
+ * Prepare the store API, credentials and deploy token for a command
+ * @param {Object} options
+ * @param {string} options.command - Command being run
+ * @param {string} [options.cwd] - Project root
+ * @param {string|null} [options.profile] - --profile value
+ * @param {string|null} [options.authProfile] - --auth-profile value
+ * @param {string|null} [options.apiUrl] - --api-url value
+ * @param {string|null} [options.registry] - --registry value
+ * @param {string|null} [options.tokenFile] - --token-file value
+ * @param {Object|null} [options.overrides] - Config from the Node API
+ * @returns {Promise<Object>} { success: true } or { success: false, error, errors, exitCode }
+ */
+export async function initApiContext({
+  command,
+  cwd = process.cwd(),
+  profile = null,
+  authProfile = null,
+  apiUrl = null,
+  registry = null,
+  tokenFile = null,
+  overrides = null,
+}) {
+  const configProfile = command === 'publish' ? profile : null;
+  const { config, configError, schemaErrors } = await loadConfig(cwd, {
+    profile: configProfile,
+    command,
+    overrides,
+  });
+
+  // Only registry, api and authProfile matter here. A file that does not load
+  // leaves them unknown, and the defaults would send the command to the
+  // production API. Errors in other settings are reported by the commands
+  // that use them (publish checks the whole config).
+  const apiErrors = configError ? [] : validateApiConfig(config);
+  const configErrors = configError ? [configError] : apiErrors;
+  if (configErrors.length > 0) {
+    if (command !== 'registry') {
+      return {
+        success: false,
+        errorCode: 'INVALID_CONFIG',
+        error: configErrors[0],
+        errors: configErrors,
+        exitCode: EXIT_CODES.CONFIG_ERROR,
+      };
+    }
+    for (const message of configErrors) {
+      logger.warn(message);
+    }
+  }
+  for (const message of configError ? [] : schemaErrors) {
+    logger.debug(`Config: ${message}`);
+  }
+
+  let apiError = null;
+  if (apiErrors.length === 0) {
+    try {
+      const api = initApi({ apiUrl, registry, config });
+      logger.debug(`Store API: ${api.url} (${api.name || 'custom'}, from ${api.source})`);
+    } catch (err) {
+      apiError = err.message;
+    }
+  }
+
+  // A broken selection must not stop "quapp registry" from fixing it
+  if (apiError && command === 'registry') {
+    logger.warn(apiError);
+  } else if (apiError) {
+    return { success: false, error: apiError, exitCode: EXIT_CODES.CONFIG_ERROR };
+  }
+
+  // Credential backend (QUAPP_CREDENTIAL_STORE)
+  try {
+    logger.debug(`Credential store: ${initCredentialStore().name}`);
+  } catch (err) {
+    return { success: false, error: err.message, exitCode: EXIT_CODES.CONFIG_ERROR };
+  }
+
+  // Auth profile: --profile on login/logout/whoami, --auth-profile elsewhere,
+  // then "authProfile" from the project config
+  if (AUTH_PROFILE_COMMANDS.includes(command)) {
+    setAuthProfile(profile || config.authProfile);
+  } else {
+    setAuthProfile(authProfile || config.authProfile);
+  }
+  logger.debug(`Auth profile: ${getAuthProfile()}`);
+
+  // Deploy token (--token-file or QUAPP_TOKEN); fail early on an unreadable file
+  setTokenFile(tokenFile);
+  try {
+    const deploy = getDeployToken();
+    if (deploy) logger.debug(`Using deploy token from ${deploy.source}`);
+  } catch (err) {
+    return { success: false, error: err.message, exitCode: EXIT_CODES.INVALID_ARGS };
+  }
+
+  return { success: true };
+}
@@ -0,0 +1,424 @@
+/**
+ * Pluggable credential storage backends
+ *
+ * Selected with QUAPP_CREDENTIAL_STORE:
+ *   auto       Secret Service keyring when available, else the encrypted file (default)
+ *   keychain   Secret Service keyring via `secret-tool` (libsecret), Linux only;
+ *              the macOS Keychain and Windows Credential Manager are not supported
+ *   encrypted  AES-256-GCM file at ~/.quapp/credentials.enc, keyed by
+ *              QUAPP_CREDENTIALS_PASSPHRASE or a key derived from the machine ID
+ *   plaintext  ~/.quapp/credentials.json (explicit fallback only)
+ *
+ * Every backend stores one JSON document and exposes { name, load, save, remove }.
+ * Files are written with mode 0600; looser permissions are reported and fixed.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import * as logger from './logger.js';
+import {
+  QUAPP_DIR,
+  CREDENTIALS_PATH,
+  ENCRYPTED_CREDENTIALS_PATH,
+  CREDENTIAL_STORES,
+} from './constants.js';
+
+const KEYRING_ATTRIBUTES = ['service', 'quapp', 'account', 'default'];
+const MACHINE_ID_PATHS = ['/etc/machine-id', '/var/lib/dbus/machine-id'];
+
+// ---------------------------------------------------------------------------
+// File helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Warn about and fix a credentials file that other users can read
+ * @param {string} filePath
+ */
+function enforcePermissions(filePath) {
+  if (process.platform === 'win32') return;
+
+  const mode = fs.statSync(filePath).mode & 0o777;
+  if (mode & 0o077) {
+    logger.warn(
+      `${filePath} was accessible by other users (mode ${mode.toString(8)}). ` +
+        'Restricted it to 0600; consider revoking the stored session with "quapp logout".'
+    );
+    fs.chmodSync(filePath, 0o600);
+  }
+}
+
+/**
+ * Write a file only the current user can read
+ * @param {string} filePath
+ * @param {string} contents
+ */
+function writePrivateFile(filePath, contents) {
+  if (!fs.existsSync(QUAPP_DIR)) {
+    fs.mkdirSync(QUAPP_DIR, { recursive: true, mode: 0o700 });
+  }
+  fs.writeFileSync(filePath, contents, { mode: 0o600 });
+  // mode only applies to new files
+  if (process.platform !== 'win32') fs.chmodSync(filePath, 0o600);
+}
+
+/**
+ * Delete a file if it exists
+ * @param {string} filePath
+ */
+function removeFile(filePath) {
+  try {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch {
+    // best-effort
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Plaintext backend
+// ---------------------------------------------------------------------------
+
+/**
+ * Plaintext JSON file (the pre-keychain format)
+ * @returns {Object} Backend
+ */
+function createPlaintextStore() {
+  return {
+    name: 'plaintext',
+    load() {
+      if (!fs.existsSync(CREDENTIALS_PATH)) return null;
+      enforcePermissions(CREDENTIALS_PATH);
+      try {
+        return JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf-8'));
+      } catch {
+        return null;
+      }
+    },
+    save(data) {
+      writePrivateFile(CREDENTIALS_PATH, JSON.stringify(data, null, 2) + '\n');
+    },
+    remove() {
+      removeFile(CREDENTIALS_PATH);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Encrypted file backend
+// ---------------------------------------------------------------------------
+
+/**
+ * Stable per-machine, per-user secret used when no passphrase is set
+ * Protects copied or backed-up files; it does not stop other processes of
+ * the same user, which is what the keychain backend is for.
+ * @returns {string}
+ */
+function getMachineSecret() {
+  let machineId = os.hostname();
+  for (const idPath of MACHINE_ID_PATHS) {
+    try {
+      machineId = fs.readFileSync(idPath, 'utf-8').trim() || machineId;
+      break;
+    } catch {
+      // try the next location
+    }
+  }
+  return `${machineId}:${getUserName()}`;
+}
+
+/**
+ * Name of the current user, for the machine secret
+ * os.userInfo() throws when the uid has no passwd entry (common in containers).
+ * @returns {string}
+ */
+function getUserName() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    const uid = typeof process.getuid === 'function' ? String(process.getuid()) : '';
+    return process.env.USER || process.env.LOGNAME || process.env.USERNAME || uid;
+  }
+}
+
+/**
+ * Derive the AES key for the encrypted file
+ * @param {string} keySource - 'passphrase' | 'machine'
+ * @param {Buffer} salt
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(keySource, salt) {
+  const secret = keySource === 'passphrase'
+    ? process.env.QUAPP_CREDENTIALS_PASSPHRASE
+    : getMachineSecret();
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+/**
+ * AES-256-GCM encrypted file
+ * @returns {Object} Backend
+ */
+function createEncryptedStore() {
+  return {
+    name: 'encrypted',
+    load() {
+      if (!fs.existsSync(ENCRYPTED_CREDENTIALS_PATH)) return null;
+      enforcePermissions(ENCRYPTED_CREDENTIALS_PATH);
+
+      let file;
+      try {
+        file = JSON.parse(fs.readFileSync(ENCRYPTED_CREDENTIALS_PATH, 'utf-8'));
+      } catch {
+        return null;
+      }
+
+      if (file.keySource === 'passphrase' && !process.env.QUAPP_CREDENTIALS_PASSPHRASE) {
+        logger.warn('Stored credentials are passphrase-protected. Set QUAPP_CREDENTIALS_PASSPHRASE to use them.');
+        return null;
+      }
+
+      try {
+        const key = deriveKey(file.keySource, Buffer.from(file.salt, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+        const plain = Buffer.concat([
+          decipher.update(Buffer.from(file.data, 'base64')),
+          decipher.final(),
+        ]);
+        return JSON.parse(plain.toString('utf-8'));
+      } catch {
+        logger.warn(
+          file.keySource === 'passphrase'
+            ? 'Could not decrypt stored credentials: wrong QUAPP_CREDENTIALS_PASSPHRASE.'
+            : 'Could not decrypt stored credentials (created on another machine?). Run "quapp login" again.'
+        );
+        return null;
+      }
+    },
+    save(data) {
+      const keySource = process.env.QUAPP_CREDENTIALS_PASSPHRASE ? 'passphrase' : 'machine';
+      const salt = crypto.randomBytes(16);
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(keySource, salt), iv);
+      const encrypted = Buffer.concat([
+        cipher.update(JSON.stringify(data), 'utf-8'),
+        cipher.final(),
+      ]);
+
+      const file = {
+        version: 1,
+        cipher: 'aes-256-gcm',
+        kdf: 'scrypt',
+        keySource,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: encrypted.toString('base64'),
+      };
+      writePrivateFile(ENCRYPTED_CREDENTIALS_PATH, JSON.stringify(file, null, 2) + '\n');
+    },
+    remove() {
+      removeFile(ENCRYPTED_CREDENTIALS_PATH);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Secret Service (keyring) backend
+// ---------------------------------------------------------------------------
+
+/**
+ * Check whether an executable is on PATH
+ * @param {string} command
+ * @returns {boolean}
+ */
+function commandExists(command) {
+  return (process.env.PATH || '')
+    .split(path.delimiter)
+    .some((dir) => dir && fs.existsSync(path.join(dir, command)));
+}
+
+/**
+ * Run secret-tool; secrets are passed on stdin, never as arguments
+ * @param {string[]} args
+ * @param {string} [input]
+ * @returns {string} stdout
+ */
+function secretTool(args, input) {
+  return execFileSync('secret-tool', args, {
+    input,
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    timeout: 10000,
+  });
+}
+
+/**
+ * Secret Service keyring via libsecret's secret-tool (GNOME Keyring, KWallet)
+ * @returns {Object} Backend with an extra available() check
+ */
+function createKeychainStore() {
+  return {
+    name: 'keychain',
+    available() {
+      return (
+        process.platform === 'linux' &&
+        !!process.env.DBUS_SESSION_BUS_ADDRESS &&
+        commandExists('secret-tool')
+      );
+    },
+    load() {
+      try {
+        const out = secretTool(['lookup', ...KEYRING_ATTRIBUTES]);
+        return out.trim() ? JSON.parse(out) : null;
+      } catch {
+        // lookup exits non-zero when nothing is stored
+        return null;
+      }
+    },
+    save(data) {
+      secretTool(['store', '--label=Quapp CLI credentials', ...KEYRING_ATTRIBUTES], JSON.stringify(data));
+    },
+    remove() {
+      try {
+        secretTool(['clear', ...KEYRING_ATTRIBUTES]);
+      } catch {
+        // best-effort
+      }
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Selection
+// ---------------------------------------------------------------------------
+
+/**
+ * Keyring when it works, encrypted file otherwise
+ * @returns {Object} Backend
+ */
+function createAutoStore() {
+  const keychain = createKeychainStore();
+  const file = createEncryptedStore();
+  const useKeychain = keychain.available();
+
+  return {
+    name: useKeychain ? 'keychain' : 'encrypted',
+    load() {
+      return (useKeychain && keychain.load()) || file.load();
+    },
+    save(data) {
+      if (useKeychain) {
+        try {
+          keychain.save(data);
+          file.remove();
+          return;
+        } catch (err) {
+          logger.debug(`Keyring unavailable (${err.message.trim()}), using encrypted file`);
+        }
+      }
+      file.save(data);
+    },
+    remove() {
+      if (useKeychain) keychain.remove();
+      file.remove();
+    },
+  };
+}
+
+/**
+ * Get the credential backend selected by QUAPP_CREDENTIAL_STORE
+ * @returns {Object} { name, load(), save(data), remove() }
+ * @throws {Error} If the setting is unknown or the keychain is not available
+ */
+export function getCredentialStore() {
+  const selected = process.env.QUAPP_CREDENTIAL_STORE || 'auto';
+
+  if (!CREDENTIAL_STORES.includes(selected)) {
+    throw new Error(
+      `Invalid QUAPP_CREDENTIAL_STORE "${selected}". Must be: ${CREDENTIAL_STORES.join(', ')}`
+    );
+  }
+
+  if (selected === 'plaintext') return createPlaintextStore();
+  if (selected === 'encrypted') return createEncryptedStore();
+  if (selected === 'keychain') {
+    if (process.platform !== 'linux') {
+      throw new Error(
+        'QUAPP_CREDENTIAL_STORE=keychain is only supported on Linux (Secret Service via "secret-tool"). ' +
+          'The macOS Keychain and Windows Credential Manager are not supported yet; use "encrypted" instead'
+      );
+    }
+    const keychain = createKeychainStore();
+    if (!keychain.available()) {
+      throw new Error(
+        'QUAPP_CREDENTIAL_STORE=keychain needs a Secret Service keyring and the "secret-tool" command (libsecret-tools)'
+      );
+    }
+    return keychain;
+  }
+  return createAutoStore();
+}
+
+/**
+ * Move a plaintext credentials file that cannot be migrated out of the way
+ * It may hold the only copy of a session, so it is renamed rather than
+ * deleted. The next run no longer finds it and does not warn again.
+ * @param {string} reason - Why it was not migrated
+ */
+function setAsideUnmigrated(reason) {
+  const base = `${CREDENTIALS_PATH}.unmigrated`;
+  const target = fs.existsSync(base) ? `${base}.${Date.now()}` : base;
+  try {
+    fs.renameSync(CREDENTIALS_PATH, target);
+  } catch (err) {
+    logger.warn(`${CREDENTIALS_PATH} was not migrated: ${reason}. Delete it if it is no longer needed.`);
+    return;
+  }
+  logger.warn(
+    `${CREDENTIALS_PATH} was not migrated: ${reason}. Renamed it to ${target}; ` +
+      'it may hold a plaintext session, so delete it once it is no longer needed.'
+  );
+}
+
+/**
+ * Move credentials left in the plaintext file into a secure backend
+ *
+ * The plaintext file is deleted only once its contents have been saved.
+ * A file that cannot be read, or whose target store already holds
+ * credentials, is renamed with a one-time warning (see setAsideUnmigrated()).
+ * When saving fails the file is left in place with a warning and the move
+ * is retried on the next run, so a session is never lost.
+ *
+ * @param {Object} store - Backend from getCredentialStore()
+ */
+export function migratePlaintextCredentials(store) {
+  if (store.name === 'plaintext' || !fs.existsSync(CREDENTIALS_PATH)) return;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf-8'));
+  } catch (err) {
+    setAsideUnmigrated(`it could not be read (${err.message})`);
+    return;
+  }
+
+  // Never overwrite what the secure store already holds (it may be passphrase-protected)
+  const occupied = store.name === 'encrypted'
+    ? fs.existsSync(ENCRYPTED_CREDENTIALS_PATH)
+    : !!store.load();
+  if (occupied) {
+    setAsideUnmigrated(`the ${store.name} store already holds credentials`);
+    return;
+  }
+
+  try {
+    store.save(data);
+  } catch (err) {
+    logger.warn(`Could not move ${CREDENTIALS_PATH} to the ${store.name} store: ${err.message.trim()}`);
+    return;
+  }
+  removeFile(CREDENTIALS_PATH);
+  logger.debug(`Moved credentials from ${CREDENTIALS_PATH} to the ${store.name} store`);
+}
@@ -1,18 +1,24 @@
 /**
  * Credential storage and Supabase client management
  *
- * Stores auth tokens in ~/.quapp/credentials.json.
+ * Stores auth tokens in the backend chosen by lib/credential-store.js
+ * (keyring or encrypted file by default).
  * Handles automatic token refresh when expired.
+ * Sessions are kept per named auth profile ("default" unless chosen with
+ * --profile, "authProfile" in quapp.config.json or `quapp use`) and per API
+ * URL, so logging in to a staging registry never replaces the production
+ * session of the same profile, and a session is never sent to another registry:
+ *   { "current": "work", "profiles": { "work": { "https://...supabase.co": {...} } } }
+ *
+ * Deploy tokens (QUAPP_TOKEN or --token-file) take precedence over the
+ * stored session and are never written to disk.
  */
 
 import fs from 'fs';
 import { createClient } from '@supabase/supabase-js';
-import {
-  SUPABASE_URL,
-  SUPABASE_ANON_KEY,
-  QUAPP_DIR,
-  CREDENTIALS_PATH,
-} from './constants.js';
+import { SUPABASE_URL, DEFAULT_AUTH_PROFILE } from './constants.js';
+import { getApi } from './api.js';
+import { getCredentialStore, migratePlaintextCredentials } from './credential-store.js';
 
 // ---------------------------------------------------------------------------
 // Supabase client
@@ -27,58 +33,261 @@ export function createSupabaseClient(accessToken) {
   const options = accessToken
     ? { global: { headers: { Authorization: `Bearer ${accessToken}` } } }
     : {};
-  return createClient(SUPABASE_URL, SUPABASE_ANON_KEY, options);
+  const api = getApi();
+  return createClient(api.url, api.anonKey, options);
 }
 
 // ---------------------------------------------------------------------------
-// Credential file helpers
+// Credential storage
 // ---------------------------------------------------------------------------
 
+// Backend for this run; created on first use
+let store = null;
+
 /**
- * Read stored credentials from disk
- * @returns {Object|null} Credentials object or null if not found / invalid
+ * Select the credential backend and move any plaintext credentials into it
+ * @returns {Object} Backend from getCredentialStore()
+ * @throws {Error} If QUAPP_CREDENTIAL_STORE is invalid or unavailable
  */
-export function readCredentials() {
-  try {
-    if (!fs.existsSync(CREDENTIALS_PATH)) return null;
-    const raw = fs.readFileSync(CREDENTIALS_PATH, 'utf-8');
-    return JSON.parse(raw);
-  } catch {
-    return null;
+export function initCredentialStore() {
+  if (!store) {
+    store = getCredentialStore();
+    migratePlaintextCredentials(store);
+  }
+  return store;
+}
+
+// Decoded document, cached because decrypting or asking the keyring is slow
+let documentCache = null;
+
+/**
+ * Group a session of an older format under the API URL it was issued by
+ * Sessions saved before registries existed belong to production.
+ * @param {Object} creds
+ * @returns {Object} { [apiUrl]: creds }
+ */
+function toSessions(creds) {
+  return { [creds.api_url || SUPABASE_URL]: creds };
+}
+
+/**
+ * Load the stored document, upgrading older formats
+ * (version 1: one session, version 2: one session per profile)
+ * @returns {Object} { current, profiles: { [profile]: { [apiUrl]: creds } } }
+ */
+function loadDocument() {
+  if (documentCache) return documentCache;
+
+  const doc = initCredentialStore().load();
+  if (doc && doc.profiles) {
+    const profiles = {};
+    for (const [name, entry] of Object.entries(doc.profiles)) {
+      profiles[name] = doc.version >= 3 ? entry : toSessions(entry);
+    }
+    documentCache = { current: doc.current || null, profiles };
+  } else if (doc && doc.access_token) {
+    // Single session saved before auth profiles existed
+    documentCache = { current: null, profiles: { [DEFAULT_AUTH_PROFILE]: toSessions(doc) } };
+  } else {
+    documentCache = { current: null, profiles: {} };
+  }
+  return documentCache;
+}
+
+/**
+ * Save the document, or remove it when no profiles are left
+ * @param {Object} doc - { current, profiles }
+ */
+function saveDocument(doc) {
+  if (Object.keys(doc.profiles).length === 0) {
+    initCredentialStore().remove();
+  } else {
+    initCredentialStore().save({ version: 3, current: doc.current, profiles: doc.profiles });
   }
+  documentCache = doc;
+}
+
+/**
+ * Sessions stored under an auth profile, by API URL
+ * @param {Object} doc - From loadDocument()
+ * @param {string} name - Auth profile
+ * @returns {Object|null}
+ */
+function getSessions(doc, name) {
+  return Object.prototype.hasOwnProperty.call(doc.profiles, name) ? doc.profiles[name] : null;
+}
+
+// Auth profile chosen for this run (--profile or quapp.config.json); null = stored default
+let selectedProfile = null;
+
+/**
+ * Use this auth profile for the rest of the run
+ * @param {string|null} name
+ */
+export function setAuthProfile(name) {
+  selectedProfile = name;
+}
+
+/**
+ * Name of the auth profile in use: the selected one, else the one chosen
+ * with `quapp use`, else "default"
+ * @returns {string}
+ */
+export function getAuthProfile() {
+  return selectedProfile || loadDocument().current || DEFAULT_AUTH_PROFILE;
+}
+
+/**
+ * Check whether a session is stored under an auth profile
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasAuthProfile(name) {
+  return Object.prototype.hasOwnProperty.call(loadDocument().profiles, name);
 }
 
 /**
- * Persist credentials to disk
+ * List stored sessions, one entry per auth profile and registry
+ * @returns {Object[]} [{ name, current, credentials }]
+ */
+export function listAuthProfiles() {
+  const doc = loadDocument();
+  const current = doc.current || DEFAULT_AUTH_PROFILE;
+  return Object.entries(doc.profiles)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .flatMap(([name, sessions]) =>
+      Object.values(sessions).map((credentials) => ({ name, current: name === current, credentials }))
+    );
+}
+
+/**
+ * Make an auth profile the default for later commands
+ * @param {string} name
+ * @returns {boolean} False if no session is stored under that name
+ */
+export function setCurrentAuthProfile(name) {
+  const doc = loadDocument();
+  if (!getSessions(doc, name)) return false;
+  doc.current = name === DEFAULT_AUTH_PROFILE ? null : name;
+  saveDocument(doc);
+  return true;
+}
+
+/**
+ * Read stored credentials of the active auth profile for the current registry
+ * @returns {Object|null} Credentials object or null if not found
+ */
+export function readCredentials() {
+  const sessions = getSessions(loadDocument(), getAuthProfile());
+  const url = getApi().url;
+  return sessions && Object.prototype.hasOwnProperty.call(sessions, url) ? sessions[url] : null;
+}
+
+/**
+ * Persist credentials of the active auth profile for the current registry
+ * Sessions of the profile for other registries are kept. The first profile
+ * saved becomes the default.
  * @param {Object} creds - Credentials to save
  */
 export function writeCredentials(creds) {
-  if (!fs.existsSync(QUAPP_DIR)) {
-    fs.mkdirSync(QUAPP_DIR, { recursive: true });
+  const doc = loadDocument();
+  const name = getAuthProfile();
+  const url = getApi().url;
+  if (Object.keys(doc.profiles).length === 0 && name !== DEFAULT_AUTH_PROFILE) {
+    doc.current = name;
   }
-  fs.writeFileSync(CREDENTIALS_PATH, JSON.stringify(creds, null, 2) + '\n');
+  doc.profiles[name] = { ...getSessions(doc, name), [url]: { ...creds, api_url: url } };
+  saveDocument(doc);
 }
 
 /**
- * Remove the credentials file
+ * Remove stored credentials of the active auth profile for the current registry
+ * The profile itself goes away with its last session.
  */
 export function deleteCredentials() {
+  const doc = loadDocument();
+  const name = getAuthProfile();
+  const sessions = getSessions(doc, name);
+  if (!sessions) return;
+
+  delete sessions[getApi().url];
+  if (Object.keys(sessions).length === 0) {
+    delete doc.profiles[name];
+    if (doc.current === name) doc.current = null;
+  }
+  saveDocument(doc);
+}
+
+/**
+ * Read the authenticator assurance level from an access token
+ * @param {string} accessToken - Supabase JWT
+ * @returns {string|null} 'aal1' (single factor), 'aal2' (two-factor) or null if unknown
+ */
+export function getAssuranceLevel(accessToken) {
   try {
-    if (fs.existsSync(CREDENTIALS_PATH)) fs.unlinkSync(CREDENTIALS_PATH);
+    const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString('utf-8'));
+    return payload.aal || null;
   } catch {
-    // best-effort
+    return null;
   }
 }
 
+// ---------------------------------------------------------------------------
+// Deploy tokens
+// ---------------------------------------------------------------------------
+
+// Set from --token-file; read on demand so the token is never kept on disk elsewhere
+let tokenFilePath = null;
+
+/**
+ * Read the deploy token from this file instead of QUAPP_TOKEN
+ * @param {string|null} filePath
+ */
+export function setTokenFile(filePath) {
+  tokenFilePath = filePath;
+}
+
+/**
+ * Get the deploy token for this run, if any
+ * @returns {Object|null} { token, source } or null when no deploy token is configured
+ * @throws {Error} If --token-file cannot be read or is empty
+ */
+export function getDeployToken() {
+  if (tokenFilePath) {
+    let token;
+    try {
+      token = fs.readFileSync(tokenFilePath, 'utf-8').trim();
+    } catch (err) {
+      throw new Error(`Cannot read token file ${tokenFilePath}: ${err.message}`);
+    }
+    if (!token) throw new Error(`Token file is empty: ${tokenFilePath}`);
+    return { token, source: tokenFilePath };
+  }
+
+  const token = process.env.QUAPP_TOKEN?.trim();
+  return token ? { token, source: 'QUAPP_TOKEN' } : null;
+}
+
 // ---------------------------------------------------------------------------
 // Token refresh
 // ---------------------------------------------------------------------------
 
 /**
  * Get a valid access token, auto-refreshing if expired
+ * A deploy token, when configured, is returned as-is.
  * @returns {Promise<string|null>} Valid access_token or null
  */
 export async function getValidToken() {
+  const deploy = getDeployToken();
+  if (deploy) return deploy.token;
+  return getSessionToken();
+}
+
+/**
+ * Get the access token of the stored login session, ignoring deploy tokens
+ * @returns {Promise<string|null>} Valid access_token or null
+ */
+export async function getSessionToken() {
   const creds = readCredentials();
   if (!creds) return null;
 
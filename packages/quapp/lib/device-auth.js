@@ -0,0 +1,104 @@
+/**
+ * Browser-based login (OAuth 2.0 device authorization, RFC 8628 style)
+ *
+ * The CLI asks the store for a device code, the user approves it in the
+ * browser (any sign-in method the web app supports, including OAuth
+ * providers and MFA), and the CLI polls until a session is issued.
+ *
+ * Endpoints (Edge Functions, called with the anon key):
+ *   cli-device-code   -> { device_code, user_code, verification_uri,
+ *                          verification_uri_complete, interval, expires_in }
+ *   cli-device-token  -> { status: pending | slow_down | approved | denied | expired,
+ *                          session?, user? }
+ */
+
+import os from 'os';
+import * as logger from './logger.js';
+import { apiPost, getApi } from './api.js';
+import { getVersion } from './args.js';
+
+// Fallbacks when the server omits them (seconds)
+const DEFAULT_POLL_INTERVAL = 5;
+const DEFAULT_EXPIRES_IN = 600;
+const SLOW_DOWN_STEP = 5;
+// Longest wait between polls after repeated network or server errors (seconds)
+const MAX_RETRY_INTERVAL = 60;
+
+/**
+ * Start a device login
+ * @returns {Promise<Object>} { deviceCode, userCode, verificationUri, verificationUriComplete, interval, expiresIn }
+ */
+export async function requestDeviceCode() {
+  const result = await apiPost(
+    'cli-device-code',
+    { client: 'quapp-cli', client_version: getVersion(), device_name: os.hostname() },
+    getApi().anonKey
+  );
+
+  if (!result.device_code || !result.user_code || !result.verification_uri) {
+    throw new Error('Invalid response from cli-device-code');
+  }
+
+  return {
+    deviceCode: result.device_code,
+    userCode: result.user_code,
+    verificationUri: result.verification_uri,
+    verificationUriComplete: result.verification_uri_complete || result.verification_uri,
+    interval: result.interval || DEFAULT_POLL_INTERVAL,
+    expiresIn: result.expires_in || DEFAULT_EXPIRES_IN,
+  };
+}
+
+/**
+ * Poll until the device code is approved, denied or expires
+ *
+ * Network errors and 429/5xx responses do not end the login: polling backs
+ * off exponentially and carries on until the code expires.
+ *
+ * @param {Object} device - Result of requestDeviceCode()
+ * @returns {Promise<Object>} { session, user }
+ * @throws {Error} With code 'access_denied' or 'expired_token' when the login does not complete
+ */
+export async function waitForApproval(device) {
+  let interval = device.interval;
+  let failures = 0;
+  const deadline = Date.now() + device.expiresIn * 1000;
+
+  while (Date.now() < deadline) {
+    const delay = failures ? Math.max(interval, Math.min(interval * 2 ** failures, MAX_RETRY_INTERVAL)) : interval;
+    await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+
+    let result;
+    try {
+      result = await apiPost(
+        'cli-device-token',
+        { device_code: device.deviceCode },
+        getApi().anonKey
+      );
+    } catch (err) {
+      if (!err.transient) throw err;
+      failures++;
+      logger.warn(`Could not check the login status (${err.message}), retrying...`);
+      continue;
+    }
+    failures = 0;
+
+    if (result.status === 'approved') {
+      if (!result.session?.access_token || !result.user?.id) {
+        throw new Error('Invalid response from cli-device-token');
+      }
+      return { session: result.session, user: result.user };
+    }
+    if (result.status === 'slow_down') {
+      interval += SLOW_DOWN_STEP;
+    } else if (result.status === 'denied') {
+      throw Object.assign(new Error('Login was denied in the browser'), { code: 'access_denied' });
+    } else if (result.status === 'expired') {
+      break;
+    }
+  }
+
+  throw Object.assign(new Error('Login code expired. Run "quapp login --web" again.'), {
+    code: 'expired_token',
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * Build hooks from the "hooks" section of the project config
+ *
+ *   prebuild    before the build command
+ *   prepackage  after manifest.json is written, before the .qpp is created
+ *   postbuild   after the .qpp is created
+ *
+ * Each hook is a shell command run in the project root. It receives the
+ * config's "env" plus QUAPP_* variables describing the build (see getHookEnv()).
+ */
+
+import * as logger from './logger.js';
+import { EXIT_CODES } from './constants.js';
+import { runCommand } from './process.js';
+
+/**
+ * Environment variables describing the build, for build.command and hooks
+ * Values that are not known yet are left out.
+ * @param {Object} params
+ * @param {Object} params.config - Merged quapp config
+ * @param {string} params.distDir - Absolute build output directory
+ * @param {string} params.outputPath - Absolute .qpp path
+ * @param {Object} [params.manifest] - Generated manifest (prepackage, postbuild)
+ * @param {Object} [params.qpp] - { size, sha256 } of the created .qpp (postbuild)
+ * @returns {Object} QUAPP_* variables
+ */
+export function getHookEnv({ config, distDir, outputPath, manifest = null, qpp = null }) {
+  const vars = {
+    QUAPP_PROFILE: config.profile,
+    QUAPP_MODE: config.mode,
+    QUAPP_OUT_DIR: distDir,
+    QUAPP_QPP_PATH: outputPath,
+    QUAPP_PACKAGE_NAME: manifest?.package_name,
+    QUAPP_VERSION: manifest?.version,
+    QUAPP_VERSION_CODE: manifest?.version_code,
+    QUAPP_QPP_SIZE: qpp?.size,
+    QUAPP_QPP_SHA256: qpp?.sha256,
+  };
+  return Object.fromEntries(
+    Object.entries(vars)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, String(value)])
+  );
+}
+
+/**
+ * Run a hook if it is configured
+ * @param {string} name - 'prebuild', 'prepackage' or 'postbuild'
+ * @param {Object} params
+ * @param {string} params.cwd - Project root
+ * @param {Object} params.config - Merged quapp config
+ * @param {Object} params.vars - From getHookEnv()
+ * @returns {Object|null} Failure result, or null when the hook passed or is not set
+ */
+export function runHook(name, { cwd, config, vars }) {
+  const command = config.hooks[name];
+  if (!command) return null;
+
+  logger.step('🪝', `Running ${name} hook...`);
+  logger.debug(`Running: ${command}`);
+  try {
+    runCommand(command, {
+      cwd,
+      env: { ...process.env, ...config.env, ...vars, QUAPP_HOOK: name },
+    });
+  } catch (err) {
+    const error = `${name} hook failed` + (err.status ? ` with exit code ${err.status}` : '');
+    logger.error(`${error}: ${command}`);
+    return {
+      success: false,
+      errorCode: 'HOOK_FAILED',
+      error,
+      hook: name,
+      exitCode: EXIT_CODES.BUILD_FAILED,
+    };
+  }
+  return null;
+}
@@ -1,5 +1,8 @@
 /**
  * Structured logging with JSON output support
+ *
+ * Runs started through the Node API (index.js) are "embedded": messages go
+ * to the caller's logger object and events to its callback, never to the terminal.
  */
 
 import * as colors from './colors.js';
@@ -7,23 +10,55 @@ import * as colors from './colors.js';
 let jsonMode = false;
 let verboseMode = false;
 let logs = [];
+let lastProgress = null;
+let embedded = false;
+let sink = null;
+let eventHandler = null;
 
 /**
  * Initialize logger
  * @param {Object} options
+ * @param {boolean} [options.json] - Buffer messages for a single JSON document (--json)
+ * @param {boolean} [options.verbose] - Include debug messages (--verbose)
+ * @param {boolean} [options.embedded] - Driven through the Node API
+ * @param {Object|null} [options.sink] - Embedded only: object with info/success/warn/error/debug methods
+ * @param {Function|null} [options.onEvent] - Embedded only: called with (name, data) for each event
  */
-export function initLogger({ json = false, verbose = false } = {}) {
-  jsonMode = json;
-  verboseMode = verbose;
+export function initLogger(options = {}) {
+  jsonMode = options.json || false;
+  verboseMode = options.verbose || false;
   logs = [];
+  embedded = options.embedded || false;
+  sink = options.sink || null;
+  eventHandler = options.onEvent || null;
 }
 
 export function isJsonMode() {
   return jsonMode;
 }
 
+/**
+ * Check whether the run was started through the Node API
+ * @returns {boolean}
+ */
+export function isEmbedded() {
+  return embedded;
+}
+
+/**
+ * Pass a message to the caller's logger (embedded runs)
+ * @param {string} level - Sink method to call; success falls back to info
+ * @param {string} message
+ */
+function toSink(level, message) {
+  const method = sink?.[level] || (level === 'success' ? sink?.info : null);
+  if (method) method.call(sink, message);
+}
+
 export function info(message, data = {}) {
-  if (jsonMode) {
+  if (embedded) {
+    toSink('info', message);
+  } else if (jsonMode) {
     logs.push({ level: 'info', message, ...data, timestamp: Date.now() });
   } else {
     console.log(message);
@@ -31,7 +66,9 @@ export function info(message, data = {}) {
 }
 
 export function success(message, data = {}) {
-  if (jsonMode) {
+  if (embedded) {
+    toSink('success', message);
+  } else if (jsonMode) {
     logs.push({ level: 'success', message, ...data, timestamp: Date.now() });
   } else {
     console.log(colors.green(`✔ ${message}`));
@@ -39,7 +76,9 @@ export function success(message, data = {}) {
 }
 
 export function warn(message, data = {}) {
-  if (jsonMode) {
+  if (embedded) {
+    toSink('warn', message);
+  } else if (jsonMode) {
     logs.push({ level: 'warn', message, ...data, timestamp: Date.now() });
   } else {
     console.log(colors.yellow(`⚠ ${message}`));
@@ -47,7 +86,9 @@ export function warn(message, data = {}) {
 }
 
 export function error(message, data = {}) {
-  if (jsonMode) {
+  if (embedded) {
+    toSink('error', message);
+  } else if (jsonMode) {
     logs.push({ level: 'error', message, ...data, timestamp: Date.now() });
   } else {
     console.error(colors.red(`✖ ${message}`));
@@ -55,7 +96,9 @@ export function error(message, data = {}) {
 }
 
 export function debug(message, data = {}) {
-  if (jsonMode && verboseMode) {
+  if (embedded) {
+    if (verboseMode) toSink('debug', message);
+  } else if (jsonMode && verboseMode) {
     logs.push({ level: 'debug', message, ...data, timestamp: Date.now() });
   } else if (verboseMode) {
     console.log(colors.gray(`[debug] ${message}`));
@@ -63,15 +106,80 @@ export function debug(message, data = {}) {
 }
 
 export function step(emoji, message) {
-  if (jsonMode) {
+  if (embedded) {
+    toSink('info', message);
+  } else if (jsonMode) {
     logs.push({ level: 'step', message, timestamp: Date.now() });
   } else {
     console.log(`${emoji} ${message}`);
   }
 }
 
+/**
+ * Emit a machine-readable event while a command is still running
+ * JSON mode: one line on stderr, so stdout stays a single JSON document.
+ * Embedded runs pass it to the onEvent callback.
+ * @param {string} name - Event name (e.g. 'progress')
+ * @param {Object} [data]
+ */
+export function event(name, data = {}) {
+  if (embedded) {
+    eventHandler?.(name, data);
+  } else if (jsonMode) {
+    process.stderr.write(JSON.stringify({ event: name, ...data }) + '\n');
+  }
+}
+
+/**
+ * Report progress of a long-running transfer
+ * Renders a bar on interactive terminals; in JSON mode writes one
+ * event per percent to stderr so stdout stays a single JSON document.
+ * @param {Object} event
+ * @param {string} event.label - What is progressing (e.g. 'upload')
+ * @param {number} event.transferred - Bytes done
+ * @param {number} event.total - Total bytes
+ */
+export function progress({ label, transferred, total }) {
+  const percent = total > 0 ? Math.floor((transferred / total) * 100) : 100;
+  const key = `${label}:${percent}`;
+  if (key === lastProgress) return;
+  lastProgress = key;
+
+  if (jsonMode || embedded) {
+    event('progress', { label, transferred, total, percent });
+    return;
+  }
+
+  if (!process.stdout.isTTY) return;
+
+  const width = 30;
+  const filled = Math.round((percent / 100) * width);
+  const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+  const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+  process.stdout.write(`\r  ${colors.cyan(bar)} ${String(percent).padStart(3)}%  ${mb(transferred)}/${mb(total)} MB`);
+  if (transferred >= total) {
+    process.stdout.write('\n');
+    lastProgress = null;
+  }
+}
+
 export function newline() {
-  if (!jsonMode) console.log();
+  if (!jsonMode && !embedded) console.log();
+}
+
+/**
+ * Pass through output of a child process (Vite, the build script)
+ * JSON mode drops stdout so it stays a single JSON document; embedded runs
+ * emit an 'output' event instead.
+ * @param {Buffer|string} data
+ * @param {string} [stream] - 'stdout' or 'stderr'
+ */
+export function output(data, stream = 'stdout') {
+  if (embedded) {
+    event('output', { stream, text: data.toString() });
+  } else if (!jsonMode || stream === 'stderr') {
+    process[stream].write(data);
+  }
 }
 
 export function outputJson(result) {
@@ -4,7 +4,21 @@
 
 import fs from 'fs';
 import path from 'path';
-import { MANIFEST_DEFAULTS } from './constants.js';
+import {
+  MANIFEST_DEFAULTS,
+  PACKAGE_NAME_PATTERN,
+  VERSION_PATTERN,
+  REQUIRED_MANIFEST_FIELDS,
+  MAX_VERSION_CODE,
+} from './constants.js';
+
+// version_code layout: MM mmm ppp ss (major, minor, patch, release slot).
+// 20.999.999 -> 2099999999 is the last version below MAX_VERSION_CODE, the
+// store's 32-bit limit, so major versions above 20 cannot be encoded.
+const VERSION_CODE_LIMITS = { major: 20, minor: 999, patch: 999 };
+// Releases take the last slot, so prereleases can be ordered before them
+// if the store starts accepting them
+const RELEASE_SLOT = 99;
 
 /**
  * Sanitize string for package name (alphanumeric only, lowercase)
@@ -20,36 +34,80 @@ function sanitize(str) {
 }
 
 /**
- * Parse version string to version code
- * Converts "1.2.3" to 10203, "2.0.0" to 20000
- * @param {string} version
+ * Check that a package.json version can be published
+ * The store accepts plain x.y.z versions only (no prerelease tags).
+ * @param {string} [version] - package.json version (missing defaults to 1.0.0)
+ * @returns {string|null} Error message, or null when the version is accepted
+ */
+export function checkVersion(version) {
+  if (!version || VERSION_PATTERN.test(version)) return null;
+  if (/^\d+\.\d+\.\d+-/.test(version)) {
+    return `Prerelease version "${version}" cannot be published: the store only accepts x.y.z versions`;
+  }
+  return `Invalid version "${version}" in package.json: the store only accepts x.y.z versions`;
+}
+
+/**
+ * Encode a version string as a monotonic, collision-free version code
+ *
+ * Layout (decimal): major * 10^8 + minor * 10^5 + patch * 10^2 + 99
+ *
+ * "1.2.3" -> 100200399
+ *
+ * @param {string} version - x.y.z version
  * @returns {number}
+ * @throws {Error} If the version cannot be encoded
  */
-function parseVersionCode(version) {
-  if (!version) return 1;
-  
-  const parts = version.split('.').map(p => parseInt(p, 10) || 0);
-  const [major = 0, minor = 0, patch = 0] = parts;
-  
-  return major * 10000 + minor * 100 + patch;
+export function encodeVersionCode(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version || '');
+  const explicitHint = 'Set "manifest.versionCode" in quapp.config.json to choose one explicitly.';
+
+  if (!match) {
+    throw new Error(`Cannot derive version_code from version "${version}". ${explicitHint}`);
+  }
+
+  const [, major, minor, patch] = match;
+  const parts = { major: Number(major), minor: Number(minor), patch: Number(patch) };
+
+  for (const [part, limit] of Object.entries(VERSION_CODE_LIMITS)) {
+    if (parts[part] > limit) {
+      const reason = part === 'major'
+        ? `major versions above ${limit} do not fit the store's 32-bit version_code (max ${MAX_VERSION_CODE})`
+        : `${part} exceeds ${limit}`;
+      throw new Error(`Cannot derive version_code from version "${version}": ${reason}. ${explicitHint}`);
+    }
+  }
+
+  return parts.major * 1e8 + parts.minor * 1e5 + parts.patch * 1e2 + RELEASE_SLOT;
 }
 
 /**
  * Generate manifest.json content
  * @param {Object} pkg - Package.json content
  * @param {Object} options - Additional options
+ * @param {string} [options.packageName] - Pinned package_name (skips derivation from author/name)
+ * @param {string} [options.packageNameSuffix] - Appended to package_name (e.g. ".staging")
+ * @param {number} [options.versionCode] - Explicit version_code (skips derivation from version)
+ * @param {string} [options.entryPoint] - Entry HTML file relative to the package root
+ * @param {string[]} [options.permissions] - Declared permissions
+ * @param {number} [options.minSdkVersion] - Minimum Quapp SDK version
+ * @param {Object} [options.extra] - Additional manifest fields
  * @returns {Object} Manifest content
+ * @throws {Error} If no versionCode is given and the version cannot be encoded
  */
 export function generateManifest(pkg, options = {}) {
-  const { name, version, author } = pkg;
+  const { name, author } = pkg;
+  const version = pkg.version || '1.0.0';
   
   const sanitizedAuthor = sanitize(author) || 'developer';
   const sanitizedName = sanitize(name) || 'app';
   
   return {
-    package_name: `com.${sanitizedAuthor}.${sanitizedName}`,
-    version: version || '1.0.0',
-    version_code: parseVersionCode(version),
+    package_name:
+      (options.packageName || `com.${sanitizedAuthor}.${sanitizedName}`) +
+      (options.packageNameSuffix || ''),
+    version,
+    version_code: options.versionCode ?? encodeVersionCode(version),
     entry_point: options.entryPoint || MANIFEST_DEFAULTS.entry_point,
     permissions: options.permissions || MANIFEST_DEFAULTS.permissions,
     min_sdk_version: options.minSdkVersion || MANIFEST_DEFAULTS.min_sdk_version,
@@ -57,6 +115,70 @@ export function generateManifest(pkg, options = {}) {
   };
 }
 
+/**
+ * Generate manifest.json content from package.json and the config's manifest section
+ * @param {Object} pkg - Package.json content
+ * @param {Object} manifestConfig - Merged config.manifest
+ * @returns {Object} Manifest content
+ * @throws {Error} If no versionCode is given and the version cannot be encoded
+ */
+export function generateManifestFromConfig(pkg, manifestConfig) {
+  return generateManifest(pkg, {
+    packageName: manifestConfig.packageName,
+    packageNameSuffix: manifestConfig.packageNameSuffix,
+    versionCode: manifestConfig.versionCode,
+    entryPoint: manifestConfig.entryPoint,
+    permissions: [...new Set(manifestConfig.permissions)],
+    minSdkVersion: manifestConfig.minSdkVersion,
+    extra: manifestConfig.extra,
+  });
+}
+
+/**
+ * Serialize a manifest as written to manifest.json
+ * @param {Object} manifest
+ * @returns {string}
+ */
+export function stringifyManifest(manifest) {
+  return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+/**
+ * Validate manifest fields against the rules enforced by the store
+ * @param {Object} manifest - Parsed manifest.json content
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+
+  for (const field of REQUIRED_MANIFEST_FIELDS) {
+    if (manifest[field] === undefined || manifest[field] === null) {
+      errors.push(`Missing required manifest field: ${field}`);
+    }
+  }
+
+  if (manifest.package_name != null && !PACKAGE_NAME_PATTERN.test(manifest.package_name)) {
+    errors.push(
+      'Invalid package_name format. Must be lowercase with 3+ segments (e.g., com.company.app)'
+    );
+  }
+
+  if (manifest.version != null && !VERSION_PATTERN.test(manifest.version)) {
+    errors.push('Invalid version format. Must be x.y.z (e.g., 1.0.0); prerelease versions are not accepted');
+  }
+
+  if (
+    manifest.version_code != null &&
+    (!Number.isInteger(manifest.version_code) ||
+      manifest.version_code < 1 ||
+      manifest.version_code > MAX_VERSION_CODE)
+  ) {
+    errors.push(`version_code must be a positive integer no greater than ${MAX_VERSION_CODE}`);
+  }
+
+  return errors;
+}
+
 /**
  * Write manifest.json to directory
  * @param {string} dir - Target directory
@@ -66,7 +188,7 @@ export function generateManifest(pkg, options = {}) {
 export function writeManifest(dir, manifest) {
   try {
     const manifestPath = path.join(dir, 'manifest.json');
-    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    fs.writeFileSync(manifestPath, stringifyManifest(manifest));
     return { success: true, path: manifestPath };
   } catch (err) {
     return { success: false, error: `Failed to write manifest: ${err.message}` };
@@ -0,0 +1,24 @@
+/**
+ * Network helpers shared by serve and doctor
+ */
+
+import os from 'os';
+
+/**
+ * Get local IP address for LAN access
+ * @param {string} networkType - 'private' for LAN IP, 'local' for localhost
+ * @returns {string}
+ */
+export function getIP(networkType = 'private') {
+  if (networkType === 'private') {
+    const interfaces = os.networkInterfaces();
+    for (const key in interfaces) {
+      for (const iface of interfaces[key] ?? []) {
+        if (!iface.internal && iface.family === 'IPv4') {
+          return iface.address;
+        }
+      }
+    }
+  }
+  return 'localhost';
+}
@@ -0,0 +1,105 @@
+/**
+ * Package manager detection and commands
+ *
+ * `quapp build` runs the build script and `quapp serve` / `quapp build --watch`
+ * run Vite through the project's package manager. Priority: --pm flag >
+ * "packageManager" in quapp.config.* > "packageManager" in package.json >
+ * lockfile. The last two are looked up from the project up to the workspace root.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { quoteArg } from './process.js';
+
+// Lockfiles as in create-quapp's MANAGERS table, plus the newer bun.lock
+const MANAGERS = {
+  npm: {
+    name: 'npm',
+    run: 'npm run',
+    exec: 'npx',
+    lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+  },
+  yarn: {
+    name: 'yarn',
+    run: 'yarn run',
+    exec: 'yarn',
+    lockfiles: ['yarn.lock'],
+  },
+  pnpm: {
+    name: 'pnpm',
+    run: 'pnpm run',
+    exec: 'pnpm exec',
+    lockfiles: ['pnpm-lock.yaml'],
+  },
+  bun: {
+    name: 'bun',
+    run: 'bun run',
+    exec: 'bunx',
+    lockfiles: ['bun.lock', 'bun.lockb'],
+  },
+};
+
+/**
+ * Read the manager name from a package.json "packageManager" field
+ * @param {string} dir
+ * @returns {string|null} e.g. 'pnpm' for "pnpm@9.1.0"
+ */
+function readPackageManagerField(dir) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8'));
+    const name = typeof pkg.packageManager === 'string' ? pkg.packageManager.split('@')[0] : null;
+    return MANAGERS[name] ? name : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect the package manager of a project
+ * @param {string} cwd - Project root
+ * @param {Object} [options]
+ * @param {string|null} [options.preferred] - From --pm
+ * @param {string|null} [options.configured] - "packageManager" from quapp.config.*
+ * @returns {Object} { name, run, exec, lockfiles, source }
+ */
+export function detectPackageManager(cwd, { preferred = null, configured = null } = {}) {
+  if (preferred && MANAGERS[preferred]) {
+    return { ...MANAGERS[preferred], source: '--pm' };
+  }
+  if (configured && MANAGERS[configured]) {
+    return { ...MANAGERS[configured], source: 'quapp config' };
+  }
+
+  // Workspaces keep the lockfile (and often packageManager) at the root
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const fromField = readPackageManagerField(dir);
+    if (fromField) {
+      return { ...MANAGERS[fromField], source: path.join(dir, 'package.json') };
+    }
+    for (const manager of Object.values(MANAGERS)) {
+      const lockfile = manager.lockfiles.find((name) => fs.existsSync(path.join(dir, name)));
+      if (lockfile) {
+        return { ...manager, source: path.join(dir, lockfile) };
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  return { ...MANAGERS.npm, source: 'default' };
+}
+
+/**
+ * Command that runs a package.json script with extra arguments
+ * @param {Object} manager - From detectPackageManager()
+ * @param {string} script - Script name
+ * @param {string[]} [args] - Arguments for the script, quoted for the shell
+ * @returns {string} e.g. "npm run build -- --mode staging" or "pnpm run build --mode staging"
+ */
+export function getRunCommand(manager, script, args = []) {
+  // Only npm needs "--" to pass flags on; pnpm and yarn 2+ would forward it literally
+  const separator = manager.name === 'npm' && args.length > 0 ? ['--'] : [];
+  return [manager.run, script, ...separator, ...args.map(quoteArg)].join(' ');
+}
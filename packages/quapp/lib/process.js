@@ -0,0 +1,73 @@
+/**
+ * Child process helpers
+ */
+
+import { spawn, execSync } from 'child_process';
+import * as logger from './logger.js';
+
+/**
+ * Quote an argument for a command line run through the shell
+ * Profile names and paths end up in commands such as "npm run build -- --mode
+ * <mode>", so they must not be able to add shell syntax.
+ * @param {string} arg
+ * @returns {string}
+ */
+export function quoteArg(arg) {
+  if (/^[\w@%+=:,./-]+$/.test(arg)) return arg;
+  if (process.platform === 'win32') return `"${arg.replace(/"/g, '""')}"`;
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Run a shell command to completion (build script, build.command, hooks)
+ * Output goes straight to the terminal, or through logger.output() when it
+ * is captured (--json, Node API).
+ * @param {string} command
+ * @param {Object} options
+ * @param {string} options.cwd
+ * @param {Object} options.env - Full environment of the command
+ * @throws {Error} If the command exits with a non-zero code
+ */
+export function runCommand(command, { cwd, env }) {
+  const captured = logger.isJsonMode() || logger.isEmbedded();
+  try {
+    const output = execSync(command, { cwd, env, stdio: captured ? 'pipe' : 'inherit' });
+    if (output) logger.output(output);
+  } catch (err) {
+    if (err.stdout) logger.output(err.stdout);
+    if (err.stderr) logger.output(err.stderr, 'stderr');
+    throw err;
+  }
+}
+
+/**
+ * Stop a child process and everything it started when a signal is aborted
+ * Package manager exec commands (npx, pnpm exec, ...) do not reliably pass
+ * signals on to Vite, so on POSIX the child must be spawned with
+ * `detached: true` to lead its own process group, which is stopped as a whole.
+ * @param {import('child_process').ChildProcess} child
+ * @param {AbortSignal} [signal]
+ */
+export function stopOnAbort(child, signal) {
+  if (!signal) return;
+
+  const stop = () => {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    try {
+      if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', String(child.pid), '/t', '/f'], { stdio: 'ignore' });
+      } else {
+        process.kill(-child.pid, 'SIGTERM');
+      }
+    } catch {
+      child.kill();
+    }
+  };
+
+  if (signal.aborted) {
+    stop();
+  } else {
+    signal.addEventListener('abort', stop, { once: true });
+    child.once('close', () => signal.removeEventListener('abort', stop));
+  }
+}
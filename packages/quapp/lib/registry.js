@@ -0,0 +1,154 @@
+/**
+ * Store API endpoint resolution and named registries
+ *
+ * Registries are stored in ~/.quapp/registries.json:
+ *   { "current": "staging", "registries": { "staging": { "url": "...", "anonKey": "..." } } }
+ *
+ * "production" is built in and always points at the public Quapp Store.
+ */
+
+import fs from 'fs';
+import {
+  SUPABASE_URL,
+  SUPABASE_ANON_KEY,
+  QUAPP_DIR,
+  REGISTRIES_PATH,
+  DEFAULT_REGISTRY,
+} from './constants.js';
+
+const BUILTIN_REGISTRIES = {
+  [DEFAULT_REGISTRY]: { url: SUPABASE_URL, anonKey: SUPABASE_ANON_KEY },
+};
+
+// ---------------------------------------------------------------------------
+// Registries file
+// ---------------------------------------------------------------------------
+
+/**
+ * Read ~/.quapp/registries.json
+ * @returns {Object} { current, registries }
+ */
+export function readRegistries() {
+  try {
+    const data = JSON.parse(fs.readFileSync(REGISTRIES_PATH, 'utf-8'));
+    return {
+      current: data.current || null,
+      registries: data.registries || {},
+    };
+  } catch {
+    return { current: null, registries: {} };
+  }
+}
+
+/**
+ * Write ~/.quapp/registries.json
+ * @param {Object} data - { current, registries }
+ */
+export function writeRegistries(data) {
+  if (!fs.existsSync(QUAPP_DIR)) {
+    fs.mkdirSync(QUAPP_DIR, { recursive: true });
+  }
+  fs.writeFileSync(REGISTRIES_PATH, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * List all registries, built-in first
+ * @returns {Object[]} [{ name, url, anonKey, builtin }]
+ */
+export function listRegistries() {
+  const { registries } = readRegistries();
+  return [
+    ...Object.entries(BUILTIN_REGISTRIES).map(([name, r]) => ({ name, ...r, builtin: true })),
+    ...Object.entries(registries).map(([name, r]) => ({ name, ...r, builtin: false })),
+  ];
+}
+
+/**
+ * Look up a registry by name
+ * @param {string} name
+ * @returns {Object|null} { url, anonKey, functionsUrl } or null
+ */
+export function getRegistry(name) {
+  if (isBuiltinRegistry(name)) return BUILTIN_REGISTRIES[name];
+  // Own keys only: "constructor" or "toString" are not registries
+  const { registries } = readRegistries();
+  return Object.prototype.hasOwnProperty.call(registries, name) ? registries[name] : null;
+}
+
+/**
+ * Check whether a registry name is built in (cannot be changed)
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isBuiltinRegistry(name) {
+  return Object.prototype.hasOwnProperty.call(BUILTIN_REGISTRIES, name);
+}
+
+// ---------------------------------------------------------------------------
+// Resolution
+// ---------------------------------------------------------------------------
+
+/**
+ * Decide which store API to talk to
+ *
+ * The first source that names a registry or a URL wins:
+ *   --api-url > --registry > QUAPP_API_URL > QUAPP_REGISTRY >
+ *   quapp.config.json "api" > quapp.config.json "registry" >
+ *   current registry in ~/.quapp/registries.json > production
+ *
+ * QUAPP_FUNCTIONS_URL overrides the Edge Functions URL of the environment,
+ * config and registries.json sources, but not of --api-url or --registry.
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.apiUrl] - --api-url flag
+ * @param {string|null} [options.registry] - --registry flag
+ * @param {Object} [options.config] - Loaded quapp config ({ api, registry })
+ * @returns {Object} { name, url, anonKey, functionsUrl, source }
+ * @throws {Error} If a named registry does not exist
+ */
+export function resolveApi({ apiUrl = null, registry = null, config = {} } = {}) {
+  const env = process.env;
+  const candidates = [
+    { source: '--api-url', url: apiUrl },
+    { source: '--registry', name: registry },
+    { source: 'QUAPP_API_URL', url: env.QUAPP_API_URL },
+    { source: 'QUAPP_REGISTRY', name: env.QUAPP_REGISTRY },
+    {
+      source: 'quapp.config.json',
+      url: config.api?.url,
+      anonKey: config.api?.anonKey,
+      functionsUrl: config.api?.functionsUrl,
+    },
+    { source: 'quapp.config.json', name: config.registry },
+    { source: 'registries.json', name: readRegistries().current },
+  ];
+
+  const chosen = candidates.find((c) => c.url || c.name) || {
+    source: 'default',
+    name: DEFAULT_REGISTRY,
+  };
+
+  let entry = chosen;
+  if (chosen.name) {
+    const found = getRegistry(chosen.name);
+    if (!found) {
+      throw new Error(
+        `Unknown registry "${chosen.name}" (from ${chosen.source}). ` +
+          'Run "quapp registry list" to see available registries.'
+      );
+    }
+    entry = { ...found, source: chosen.source };
+  }
+
+  const url = entry.url.replace(/\/+$/, '');
+  const explicit = chosen.source === '--api-url' || chosen.source === '--registry';
+  const functionsUrl = (!explicit && env.QUAPP_FUNCTIONS_URL) || entry.functionsUrl || `${url}/functions/v1`;
+
+  return {
+    name: chosen.name || null,
+    url,
+    anonKey: entry.anonKey || env.QUAPP_ANON_KEY || SUPABASE_ANON_KEY,
+    functionsUrl: functionsUrl.replace(/\/+$/, ''),
+    source: chosen.source,
+  };
+}
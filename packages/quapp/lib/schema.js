@@ -0,0 +1,318 @@
+/**
+ * Project config schema validation (quapp.config.json, .js, .mjs, .ts)
+ *
+ * schema/quapp.config.schema.json is shared with editors (through "$schema")
+ * and is the only description of the config's shape: it is checked here with
+ * ajv, and its errors are rewritten as CLI messages with typo suggestions.
+ * patternErrorMessage (a VS Code extension) explains pattern failures.
+ */
+
+import fs from 'fs';
+import Ajv from 'ajv';
+
+const TYPE_NAMES = {
+  string: 'a string',
+  boolean: 'a boolean (true or false)',
+  integer: 'an integer',
+  number: 'a number',
+  object: 'an object',
+  array: 'an array',
+};
+
+// ---------------------------------------------------------------------------
+// Typo suggestions
+// ---------------------------------------------------------------------------
+
+/**
+ * Compute edit distance between two strings (for typo suggestions)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      prev = temp;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Find the closest known value for a likely typo
+ * @param {string} value - Unknown value
+ * @param {string[]} candidates - Known values
+ * @returns {string|null} Closest candidate, or null if none is close
+ */
+export function suggest(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(value.length / 3)) ? best : null;
+}
+
+// ---------------------------------------------------------------------------
+// JSON syntax errors
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the first syntax error in a JSON document
+ * JSON.parse only reports a position for some errors, so the text is scanned again.
+ * @param {string} text
+ * @returns {Object|null} { offset, message } or null if the text is valid JSON
+ */
+function scanJson(text) {
+  let i = 0;
+  const fail = (message) => {
+    throw Object.assign(new Error(message), { offset: i });
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+
+  const string = () => {
+    i++;
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\n') fail('Unterminated string');
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    if (i >= text.length) fail('Unterminated string');
+    i++;
+  };
+
+  const value = () => {
+    skipWhitespace();
+    const ch = text[i];
+    if (ch === undefined) fail('Unexpected end of file');
+
+    if (ch === '{' || ch === '[') {
+      const close = ch === '{' ? '}' : ']';
+      i++;
+      skipWhitespace();
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (close === '}') {
+          if (text[i] === '}') fail('Trailing comma before "}"');
+          if (text[i] === '/') fail('Comments are not allowed in JSON');
+          if (text[i] !== '"') fail('Expected a double-quoted property name');
+          string();
+          skipWhitespace();
+          if (text[i] !== ':') fail('Expected ":" after property name');
+          i++;
+        } else if (text[i] === ']') {
+          fail('Trailing comma before "]"');
+        }
+        value();
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+        } else if (text[i] === close) {
+          i++;
+          return;
+        } else {
+          fail(`Expected "," or "${close}"` + (close === '}' ? ' after property value' : ''));
+        }
+      }
+    }
+
+    if (ch === '"') {
+      string();
+      return;
+    }
+
+    const literal = text.slice(i).match(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    if (!literal) {
+      if (ch === '/') fail('Comments are not allowed in JSON');
+      if (ch === "'") fail('Strings must use double quotes');
+      fail(`Unexpected character "${ch}"`);
+    }
+    i += literal[0].length;
+  };
+
+  try {
+    value();
+    skipWhitespace();
+    if (i < text.length) fail('Unexpected content after the end of the JSON document');
+    return null;
+  } catch (err) {
+    if (err.offset === undefined) throw err;
+    return { offset: err.offset, message: err.message };
+  }
+}
+
+/**
+ * Locate a JSON syntax error as line and column
+ * @param {string} text - Text that JSON.parse rejected
+ * @returns {Object|null} { message, line, column } (1-based), or null if not found
+ */
+export function locateJsonError(text) {
+  const error = scanJson(text);
+  if (!error) return null;
+
+  const lines = text.slice(0, error.offset).split('\n');
+  return {
+    message: error.message,
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Schema validation
+// ---------------------------------------------------------------------------
+
+// Parsed schema and compiled validator, created on first use
+let configSchema = null;
+let validator = null;
+
+/**
+ * Load the quapp.config.json schema shipped with the CLI
+ * @returns {Object} JSON Schema
+ */
+export function getConfigSchema() {
+  if (!configSchema) {
+    const schemaUrl = new URL('../schema/quapp.config.schema.json', import.meta.url);
+    configSchema = JSON.parse(fs.readFileSync(schemaUrl, 'utf-8'));
+  }
+  return configSchema;
+}
+
+/**
+ * Compile the schema with ajv
+ * @returns {Function} ajv validate function
+ */
+function getValidator() {
+  if (!validator) {
+    // verbose: errors carry the failing value and schema, for the messages below
+    const ajv = new Ajv({ allErrors: true, verbose: true, strictTypes: false });
+    ajv.addKeyword({ keyword: 'patternErrorMessage', schemaType: 'string' });
+    validator = ajv.compile(getConfigSchema());
+  }
+  return validator;
+}
+
+/**
+ * Turn a JSON Pointer into path segments, with numbers for array indexes
+ * @param {string} pointer - e.g. /manifest/permissions/2
+ * @param {*} data - Validated value the pointer points into
+ * @returns {Array<string|number>}
+ */
+function toSegments(pointer, data) {
+  const segments = [];
+  let node = data;
+  for (const raw of pointer.split('/').slice(1)) {
+    const key = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+    segments.push(Array.isArray(node) ? Number(key) : key);
+    node = node?.[key];
+  }
+  return segments;
+}
+
+/**
+ * Format a path like server.port or manifest.permissions[2]
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+function formatPath(segments) {
+  return segments
+    .map((segment, index) => (typeof segment === 'number' ? `[${segment}]` : (index > 0 ? '.' : '') + segment))
+    .join('');
+}
+
+/**
+ * Describe an ajv error in the CLI's words
+ * @param {Object} error - ajv error (verbose)
+ * @param {Array<string|number>} segments - Path of the failing value
+ * @param {string} fileName - Name used in messages
+ * @returns {string}
+ */
+function formatError(error, segments, fileName) {
+  const { keyword, params, data: value, parentSchema: schema } = error;
+  const where = segments.length > 0 ? `"${formatPath(segments)}" in ${fileName}` : fileName;
+
+  switch (keyword) {
+    case 'type':
+      if (segments.length > 0) return `${where} must be ${TYPE_NAMES[params.type]}, got ${JSON.stringify(value)}`;
+      if (fileName.endsWith('.json')) return `${fileName} must contain a JSON object`;
+      if (/\.m?[jt]s$/.test(fileName)) return `${fileName} must export an object`;
+      return `${fileName} must be an object`;
+
+    case 'enum': {
+      const hint = typeof value === 'string' ? suggest(value, params.allowedValues) : null;
+      return (
+        `Invalid ${where}: ${JSON.stringify(value)}. ` +
+        (hint ? `Did you mean "${hint}"?` : `Must be: ${params.allowedValues.join(', ')}`)
+      );
+    }
+
+    case 'minLength':
+      return `${where} must not be empty`;
+
+    case 'pattern':
+      return `Invalid ${where}: ${JSON.stringify(value)}` +
+        (schema.patternErrorMessage ? `. ${schema.patternErrorMessage}` : '');
+
+    case 'minimum':
+    case 'maximum': {
+      const { minimum, maximum } = schema;
+      const kind = schema.type === 'integer' ? 'an integer' : 'a number';
+      if (minimum !== undefined && maximum !== undefined) return `${where} must be ${kind} from ${minimum} to ${maximum}`;
+      if (minimum !== undefined) return `${where} must be ${kind} of at least ${minimum}`;
+      return `${where} must be ${kind} no greater than ${maximum}`;
+    }
+
+    case 'additionalProperties': {
+      const key = params.additionalProperty;
+      const known = Object.keys(schema.properties || {}).filter((name) => name !== '$schema');
+      const hint = suggest(key, known);
+      return (
+        `Unknown key "${formatPath([...segments, key])}" in ${fileName}. ` +
+        (hint ? `Did you mean "${hint}"?` : `Valid keys: ${known.join(', ')}`)
+      );
+    }
+
+    default:
+      return `${where} ${error.message}`;
+  }
+}
+
+/**
+ * Validate the content of a project config file against the schema
+ * @param {*} data - Parsed or exported config
+ * @param {string} [fileName] - Name used in messages
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateConfigSchema(data, fileName = 'quapp.config.json') {
+  const validate = getValidator();
+  if (validate(data)) return [];
+
+  // One message per value: a wrong type also fails that value's enum or pattern
+  const seen = new Set();
+  const errors = [];
+  for (const error of validate.errors) {
+    const id = `${error.instancePath}\0${error.params.additionalProperty ?? ''}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    errors.push(formatError(error, toSegments(error.instancePath, data), fileName));
+  }
+  return errors;
+}
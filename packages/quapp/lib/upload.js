@@ -0,0 +1,287 @@
+/**
+ * Streaming .qpp uploads to presigned S3 URLs
+ *
+ * Files are streamed from disk (never fully buffered), transient failures
+ * (network errors, stalled connections, 429 and 5xx responses) are retried with exponential
+ * backoff, and multipart uploads record finished parts in ~/.quapp/uploads
+ * so an interrupted publish resumes where it stopped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import * as logger from './logger.js';
+import {
+  UPLOADS_DIR,
+  UPLOAD_MAX_RETRIES,
+  UPLOAD_RETRY_BASE_DELAY_MS,
+  UPLOAD_IDLE_TIMEOUT_MS,
+} from './constants.js';
+
+// ---------------------------------------------------------------------------
+// Resume state
+// ---------------------------------------------------------------------------
+
+/**
+ * Path of the resume state file for an upload
+ * @param {string} fileHash - SHA-256 of the .qpp file
+ * @returns {string}
+ */
+function statePath(fileHash) {
+  return path.join(UPLOADS_DIR, `${fileHash}.json`);
+}
+
+/**
+ * Read saved multipart progress for a file
+ * @param {string} fileHash - SHA-256 of the .qpp file
+ * @returns {Object|null} { upload_id, s3_key, parts: { [partNumber]: etag } } or null
+ */
+export function readUploadState(fileHash) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath(fileHash), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save multipart progress for a file
+ * @param {string} fileHash - SHA-256 of the .qpp file
+ * @param {Object} state
+ */
+function writeUploadState(fileHash, state) {
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  fs.writeFileSync(statePath(fileHash), JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Remove saved multipart progress once the upload is complete
+ * @param {string} fileHash - SHA-256 of the .qpp file
+ */
+export function clearUploadState(fileHash) {
+  try {
+    fs.rmSync(statePath(fileHash), { force: true });
+  } catch {
+    // best-effort
+  }
+}
+
+// ---------------------------------------------------------------------------
+// HTTP
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an upload error, flagging whether a retry may succeed
+ * @param {string} message
+ * @param {boolean} transient
+ * @returns {Error}
+ */
+function uploadError(message, transient) {
+  const err = new Error(message);
+  err.transient = transient;
+  return err;
+}
+
+/**
+ * Stream a byte range of a file to a URL with a PUT request
+ * @param {string} url - Presigned URL
+ * @param {Object} params
+ * @param {string} params.filePath - File to read
+ * @param {number} params.start - First byte (inclusive)
+ * @param {number} params.end - Last byte (inclusive)
+ * @param {string|null} [params.contentType] - Content-Type header
+ * @param {function(number): void} params.onBytes - Called with each chunk size
+ * @returns {Promise<{etag: string|null}>}
+ */
+function putRange(url, { filePath, start, end, contentType = null, onBytes }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const headers = { 'Content-Length': end - start + 1 };
+    if (contentType) headers['Content-Type'] = contentType;
+
+    const req = client.request(target, { method: 'PUT', headers }, (res) => {
+      res.on('error', (err) => reject(uploadError(err.message, true)));
+      res.resume();
+      res.on('end', () => {
+        const status = res.statusCode;
+        if (status >= 200 && status < 300) {
+          resolve({ etag: res.headers.etag || null });
+        } else {
+          reject(uploadError(`S3 upload returned ${status}`, status === 429 || status >= 500));
+        }
+      });
+    });
+
+    // A stalled socket would otherwise hang the upload forever
+    req.setTimeout(UPLOAD_IDLE_TIMEOUT_MS, () => {
+      req.destroy(uploadError(`no response for ${UPLOAD_IDLE_TIMEOUT_MS / 1000}s`, true));
+    });
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    req.on('error', (err) => {
+      stream.destroy();
+      reject(uploadError(err.message, true));
+    });
+    stream.on('data', (chunk) => onBytes(chunk.length));
+    stream.on('error', (err) => {
+      req.destroy();
+      reject(uploadError(err.message, false));
+    });
+    stream.pipe(req);
+  });
+}
+
+/**
+ * Run an upload attempt, retrying transient failures with exponential backoff
+ * @param {string} label - What is being uploaded (for messages)
+ * @param {function(): Promise<*>} attempt - Performs one try
+ * @param {function(): void} onRetry - Called before each retry (e.g. to rewind progress)
+ * @returns {Promise<*>} Result of the successful attempt
+ */
+async function withRetry(label, attempt, onRetry) {
+  for (let tries = 0; ; tries++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (!err.transient || tries >= UPLOAD_MAX_RETRIES) throw err;
+
+      const delay = UPLOAD_RETRY_BASE_DELAY_MS * 2 ** tries;
+      logger.warn(
+        `${label} failed (${err.message}), retrying in ${delay / 1000}s ` +
+          `(attempt ${tries + 2}/${UPLOAD_MAX_RETRIES + 1})`
+      );
+      onRetry();
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Upload strategies
+// ---------------------------------------------------------------------------
+
+/**
+ * Track upload progress across attempts and report it through the logger
+ * @param {number} total - Total bytes
+ * @returns {Object} { add(bytes), rewind(bytes) }
+ */
+function createProgress(total) {
+  let transferred = 0;
+  const report = () => logger.progress({ label: 'upload', transferred, total });
+  return {
+    add(bytes) {
+      transferred += bytes;
+      report();
+    },
+    rewind(bytes) {
+      transferred -= bytes;
+      report();
+    },
+  };
+}
+
+/**
+ * Upload a file with a single streaming PUT
+ * @param {string} filePath
+ * @param {number} size - File size in bytes
+ * @param {string} url - Presigned URL
+ * @returns {Promise<Object>} { multipart: false }
+ */
+export async function uploadSingle(filePath, size, url) {
+  const progress = createProgress(size);
+  let sent = 0;
+
+  await withRetry(
+    'Upload',
+    () =>
+      putRange(url, {
+        filePath,
+        start: 0,
+        end: size - 1,
+        contentType: 'application/zip',
+        onBytes: (bytes) => {
+          sent += bytes;
+          progress.add(bytes);
+        },
+      }),
+    () => {
+      progress.rewind(sent);
+      sent = 0;
+    }
+  );
+
+  return { multipart: false };
+}
+
+/**
+ * Upload a file in parts to the URLs returned by get-upload-url
+ *
+ * Parts already recorded for the same upload_id are skipped, so running
+ * publish again after an interruption continues the same upload.
+ *
+ * @param {string} filePath
+ * @param {number} size - File size in bytes
+ * @param {Object} multipart - { upload_id, part_size, parts: [{ part_number, upload_url }] }
+ * @param {Object} resume
+ * @param {string} resume.fileHash - SHA-256 of the file (state key)
+ * @param {string} resume.s3Key - S3 key of the upload
+ * @returns {Promise<Object>} { multipart: true, parts: [{ part_number, etag }], resumedParts }
+ */
+export async function uploadMultipart(filePath, size, multipart, { fileHash, s3Key }) {
+  const saved = readUploadState(fileHash);
+  const state =
+    saved && saved.upload_id === multipart.upload_id
+      ? saved
+      : { upload_id: multipart.upload_id, s3_key: s3Key, parts: {} };
+
+  const partSize = multipart.part_size;
+  const progress = createProgress(size);
+  let resumedParts = 0;
+
+  const parts = [...multipart.parts].sort((a, b) => a.part_number - b.part_number);
+
+  for (const part of parts) {
+    const start = (part.part_number - 1) * partSize;
+    const end = Math.min(start + partSize, size) - 1;
+
+    if (state.parts[part.part_number]) {
+      resumedParts++;
+      progress.add(end - start + 1);
+      continue;
+    }
+
+    let sent = 0;
+    const { etag } = await withRetry(
+      `Part ${part.part_number}/${parts.length}`,
+      () =>
+        putRange(part.upload_url, {
+          filePath,
+          start,
+          end,
+          onBytes: (bytes) => {
+            sent += bytes;
+            progress.add(bytes);
+          },
+        }),
+      () => {
+        progress.rewind(sent);
+        sent = 0;
+      }
+    );
+
+    state.parts[part.part_number] = etag;
+    writeUploadState(fileHash, state);
+  }
+
+  if (resumedParts > 0) {
+    logger.debug(`Resumed upload: ${resumedParts} of ${parts.length} parts already uploaded`);
+  }
+
+  return {
+    multipart: true,
+    parts: parts.map((p) => ({ part_number: p.part_number, etag: state.parts[p.part_number] })),
+    resumedParts,
+  };
+}
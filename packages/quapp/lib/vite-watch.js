@@ -0,0 +1,133 @@
+/**
+ * Rebuild notifications from `vite build --watch`
+ *
+ * Vite runs in a child process through the package manager, so its plugin
+ * hooks cannot be called from here. It is started with a generated config
+ * that loads the project's vite.config.* and adds one plugin:
+ *
+ *   closeBundle  after every successful (re)build, once all other plugins
+ *                are done writing, bumps the build count in a signal file
+ *   buildStart   waits while quapp holds the lock file, so the next rebuild
+ *                cannot empty the output directory while it is being packaged
+ *
+ * Both files live in node_modules/.quapp and are removed on close().
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// How long a rebuild waits for packaging before it goes ahead anyway
+const LOCK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Source of the generated Vite config
+ * @param {string} signalPath
+ * @param {string} lockPath
+ * @returns {string}
+ */
+function renderConfig(signalPath, lockPath) {
+  return `// Generated by quapp build --watch; removed when it stops
+import fs from 'fs';
+import { loadConfigFromFile, mergeConfig } from 'vite';
+
+const SIGNAL = ${JSON.stringify(signalPath)};
+const LOCK = ${JSON.stringify(lockPath)};
+
+export default async (env) => {
+  const loaded = await loadConfigFromFile(env, undefined, process.cwd(), 'silent');
+  let builds = 0;
+  let failed = false;
+
+  return mergeConfig(loaded ? loaded.config : {}, {
+    plugins: [
+      {
+        name: 'quapp:watch',
+        apply: 'build',
+        async buildStart() {
+          failed = false;
+          const until = Date.now() + ${LOCK_TIMEOUT_MS};
+          while (fs.existsSync(LOCK) && Date.now() < until) {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+          }
+        },
+        buildEnd(error) {
+          if (error) failed = true;
+        },
+        closeBundle: {
+          order: 'post',
+          sequential: true,
+          handler(error) {
+            if (error || failed) return;
+            builds++;
+            fs.writeFileSync(SIGNAL + '.tmp', JSON.stringify({ builds }));
+            fs.renameSync(SIGNAL + '.tmp', SIGNAL);
+          },
+        },
+      },
+    ],
+  });
+};
+`;
+}
+
+/**
+ * Write the Vite config for a watch build and listen for finished rebuilds
+ * @param {string} cwd - Project root (must contain node_modules)
+ * @returns {Object} { configPath, onBuild(callback), lock(), unlock(), close() }
+ *   configPath is relative to cwd, for `vite build --config`
+ */
+export function createViteWatch(cwd) {
+  const dir = path.join(cwd, 'node_modules', '.quapp');
+  const name = `watch-${process.pid}`;
+  const configPath = path.join(dir, `${name}.vite.config.mjs`);
+  const signalPath = path.join(dir, `${name}.json`);
+  const lockPath = path.join(dir, `${name}.lock`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(configPath, renderConfig(signalPath, lockPath));
+
+  let watcher = null;
+  let seen = 0;
+
+  return {
+    configPath: path.relative(cwd, configPath),
+
+    /**
+     * Call back once per finished rebuild
+     * @param {function(): void} callback
+     */
+    onBuild(callback) {
+      // The directory, not the file: the signal is replaced by a rename
+      watcher = fs.watch(dir, (event, filename) => {
+        if (filename !== path.basename(signalPath)) return;
+        let builds;
+        try {
+          ({ builds } = JSON.parse(fs.readFileSync(signalPath, 'utf-8')));
+        } catch {
+          return;
+        }
+        // fs.watch may report one write several times
+        if (builds > seen) {
+          seen = builds;
+          callback();
+        }
+      });
+    },
+
+    /** Hold off the next rebuild while the output directory is packaged */
+    lock() {
+      fs.writeFileSync(lockPath, '');
+    },
+
+    unlock() {
+      fs.rmSync(lockPath, { force: true });
+    },
+
+    close() {
+      watcher?.close();
+      for (const file of [configPath, signalPath, `${signalPath}.tmp`, lockPath]) {
+        fs.rmSync(file, { force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import http from 'http';
+import path from 'path';
+
+// Keep the developer's ~/.quapp (registries, uploads) out of the run
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'quapp-api-'));
+process.env.HOME = home;
+delete process.env.QUAPP_API_URL;
+delete process.env.QUAPP_REGISTRY;
+process.env.QUAPP_TOKEN = 'qdt_test';
+const { initApi, apiPost } = await import('../lib/api.js');
+const { initLogger } = await import('../lib/logger.js');
+const { runPromote } = await import('../commands/promote.js');
+const { runPublish } = await import('../commands/publish.js');
+const { writeQpp } = await import('../lib/archive.js');
+const { writeManifest, generateManifest } = await import('../lib/manifest.js');
+
+// Local mock of the store's Edge Functions and the presigned upload URL
+const requests = [];
+const routes = {
+  'POST /get-token-info': () => [200, { token: { name: 'ci' } }],
+  'POST /denied': () => [403, { error: 'forbidden', message: 'Token revoked' }],
+  'POST /gateway': () => [502, '<html>Bad Gateway</html>'],
+  'POST /promote-release': (body) => [200, { release_id: body.release_id, channel: body.channel, version: '1.2.0' }],
+  'POST /get-upload-url': () => [200, { upload_url: `${baseUrl()}/upload`, s3_key: 'uploads/demo.qpp' }],
+  'PUT /upload': () => [200, ''],
+  'POST /publish-release': (body) => [
+    200,
+    { hosted_url: 'https://demo.example.com', slug: 'demo', release_id: 'rel_1', quapp_id: 'app_1', channel: body.channel },
+  ],
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const raw = Buffer.concat(chunks);
+    const body = req.method === 'POST' ? JSON.parse(raw.toString('utf-8')) : null;
+    requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body, size: raw.length });
+
+    const [status, payload] = routes[`${req.method} ${req.url}`](body);
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    res.writeHead(status, { 'Content-Type': typeof payload === 'string' ? 'text/html' : 'application/json' });
+    res.end(text);
+  });
+});
+
+/**
+ * URL of the mock server
+ * @returns {string}
+ */
+function baseUrl() {
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Last request the mock received for a route
+ * @param {string} url
+ * @returns {Object|undefined}
+ */
+function lastRequest(url) {
+  return requests.filter((request) => request.url === url).at(-1);
+}
+
+/**
+ * Create a project with a built .qpp
+ * @returns {Promise<string>} Project directory
+ */
+async function createProject() {
+  const cwd = fs.mkdtempSync(path.join(home, 'project-'));
+  const dist = path.join(cwd, 'dist');
+  fs.mkdirSync(dist);
+  fs.writeFileSync(path.join(dist, 'index.html'), '<!doctype html><title>demo</title>');
+  writeManifest(dist, generateManifest({ name: 'demo', version: '1.2.0' }, { packageName: 'com.acme.demo' }));
+  await writeQpp(dist, path.join(cwd, 'dist.qpp'));
+  return cwd;
+}
+
+before(async () => {
+  initLogger({ embedded: true });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.QUAPP_FUNCTIONS_URL = `${baseUrl()}/`;
+  initApi();
+});
+
+after(() => {
+  if (server.listening) server.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('apiPost calls the Edge Functions at QUAPP_FUNCTIONS_URL', async () => {
+  const result = await apiPost('get-token-info', { verbose: true }, 'qdt_test');
+  assert.deepEqual(result, { token: { name: 'ci' } });
+  const request = lastRequest('/get-token-info');
+  assert.equal(request.authorization, 'Bearer qdt_test');
+  assert.deepEqual(request.body, { verbose: true });
+});
+
+test('apiPost reports API errors with their status', async () => {
+  await assert.rejects(apiPost('denied', {}, 'token'), { message: 'Token revoked', status: 403, transient: false });
+});
+
+test('apiPost marks server errors without a JSON body as transient', async () => {
+  await assert.rejects(apiPost('gateway', {}, 'token'), { message: 'API error: 502', status: 502, transient: true });
+});
+
+test('promote sends the target channel and rollout', async () => {
+  const result = await runPromote({ releaseId: 'rel_1', to: 'stable', rollout: 25 });
+  assert.equal(result.success, true);
+  assert.equal(result.rolloutPercentage, 25);
+  assert.deepEqual(lastRequest('/promote-release').body, {
+    release_id: 'rel_1',
+    channel: 'stable',
+    rollout_percentage: 25,
+  });
+});
+
+test('promote leaves the rollout to the server when none is given', async () => {
+  const result = await runPromote({ releaseId: 'rel_2', to: 'beta', rollout: null });
+  assert.equal(result.rolloutPercentage, 100);
+  assert.deepEqual(lastRequest('/promote-release').body, { release_id: 'rel_2', channel: 'beta' });
+});
+
+test('publish uploads the .qpp and sends channel and rollout', async () => {
+  const cwd = await createProject();
+  const result = await runPublish({ cwd, channel: 'beta', rollout: 10, visibility: 'unlisted' });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(lastRequest('/upload').size, fs.statSync(path.join(cwd, 'dist.qpp')).size);
+  const { body } = lastRequest('/publish-release');
+  assert.equal(body.package_name, 'com.acme.demo');
+  assert.equal(body.s3_key, 'uploads/demo.qpp');
+  assert.equal(body.visibility, 'unlisted');
+  assert.equal(body.channel, 'beta');
+  assert.equal(body.rollout_percentage, 10);
+});
+
+test('publish takes channel and rollout from the config when no flags are given', async () => {
+  const cwd = await createProject();
+  const result = await runPublish({ cwd, config: { publish: { channel: 'beta', rollout: 50 } } });
+
+  assert.equal(result.success, true, result.error);
+  const { body } = lastRequest('/publish-release');
+  assert.equal(body.channel, 'beta');
+  assert.equal(body.rollout_percentage, 50);
+  assert.equal(body.visibility, 'public');
+});
+
+test('apiPost marks network errors as transient', async () => {
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  process.env.QUAPP_FUNCTIONS_URL = `http://127.0.0.1:${port}`;
+  initApi();
+  await assert.rejects(apiPost('get-token-info', {}, 'token'), { status: null, transient: true });
+});
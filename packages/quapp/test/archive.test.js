@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { selectFiles } from '../lib/archive.js';
+
+const FILES = [
+  'index.html',
+  'manifest.json',
+  'assets/app.js',
+  'assets/app.js.map',
+  'assets/style.css',
+  'assets/icons/logo.png',
+  'assets/icons/logo.svg',
+  'docs/readme.md',
+  'docs/api/index.html',
+  'fonts/a.woff2',
+  'stats.html',
+  '.DS_Store',
+  'nested/.DS_Store',
+];
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quapp-archive-'));
+  for (const file of FILES) {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), file);
+  }
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Paths selectFiles() would package
+ * @param {Object} [buildConfig]
+ * @returns {string[]}
+ */
+function select(buildConfig) {
+  return selectFiles(dir, buildConfig).files.map((file) => file.path);
+}
+
+test('selectFiles leaves out sourcemaps and OS files by default', () => {
+  const { files, excluded } = selectFiles(dir);
+  const paths = files.map((file) => file.path);
+  assert.deepEqual(excluded, ['.DS_Store', 'assets/app.js.map', 'nested/.DS_Store', 'stats.html']);
+  assert.deepEqual(paths, [...paths].sort());
+  assert.equal(files.find((file) => file.path === 'index.html').size, 'index.html'.length);
+});
+
+test('selectFiles disables default excludes when defaultExcludes is false', () => {
+  assert.equal(select({ defaultExcludes: false }).length, FILES.length);
+});
+
+test('a glob without a slash matches names at any depth', () => {
+  assert.deepEqual(select({ exclude: ['*.png'] }).filter((p) => p.endsWith('.png')), []);
+  assert.ok(!select({ exclude: ['index.html'] }).includes('docs/api/index.html'));
+});
+
+test('a glob with a slash is anchored at the output directory', () => {
+  const paths = select({ exclude: ['/index.html'] });
+  assert.ok(!paths.includes('index.html'));
+  assert.ok(paths.includes('docs/api/index.html'));
+  assert.ok(select({ exclude: ['api/index.html'] }).includes('docs/api/index.html'));
+});
+
+test('a matching directory matches everything inside it', () => {
+  assert.deepEqual(select({ exclude: ['docs'] }).filter((p) => p.startsWith('docs/')), []);
+  assert.deepEqual(select({ exclude: ['assets/icons/'] }).filter((p) => p.includes('icons')), []);
+});
+
+test('* and ? stay within one path segment, ** crosses directories', () => {
+  assert.ok(select({ exclude: ['assets/*.js'] }).includes('assets/icons/logo.png'));
+  assert.ok(!select({ exclude: ['assets/*.js'] }).includes('assets/app.js'));
+  assert.ok(!select({ exclude: ['fonts/?.woff2'] }).includes('fonts/a.woff2'));
+  assert.deepEqual(select({ include: ['assets/**/*.svg'] }), ['assets/icons/logo.svg', 'manifest.json']);
+  assert.deepEqual(select({ include: ['**/index.html'] }), ['docs/api/index.html', 'index.html', 'manifest.json']);
+});
+
+test('braces list alternatives', () => {
+  assert.deepEqual(select({ include: ['*.{png,svg}'] }), [
+    'assets/icons/logo.png',
+    'assets/icons/logo.svg',
+    'manifest.json',
+  ]);
+});
+
+test('include narrows the selection and exclude wins over it', () => {
+  assert.deepEqual(select({ include: ['assets'], exclude: ['*.png'] }), [
+    'assets/app.js',
+    'assets/icons/logo.svg',
+    'assets/style.css',
+    'manifest.json',
+  ]);
+});
+
+test('manifest.json is always packaged', () => {
+  assert.ok(select({ include: ['*.css'], exclude: ['manifest.json'] }).includes('manifest.json'));
+});
+
+test('regular expression characters in globs are literal', () => {
+  assert.ok(select({ exclude: ['app+js'] }).includes('assets/app.js'));
+  assert.ok(!select({ exclude: ['app.js'] }).includes('assets/app.js'));
+});
+
+test('symlinks are reported, not followed or packaged', (t) => {
+  const linked = fs.mkdtempSync(path.join(os.tmpdir(), 'quapp-archive-links-'));
+  t.after(() => fs.rmSync(linked, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(linked, 'index.html'), 'index');
+  fs.mkdirSync(path.join(linked, 'assets'));
+  fs.symlinkSync('missing.js', path.join(linked, 'assets/broken.js'));
+  fs.symlinkSync('..', path.join(linked, 'assets/loop'));
+  fs.symlinkSync('index.html', path.join(linked, 'home.html'));
+
+  const { files, excluded, symlinks } = selectFiles(linked);
+  assert.deepEqual(files.map((file) => file.path), ['index.html']);
+  assert.deepEqual(excluded, []);
+  assert.deepEqual(symlinks, ['assets/broken.js', 'assets/loop', 'home.html']);
+});
@@ -0,0 +1,49 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, getConfigErrors } from '../lib/config.js';
+
+const dirs = [];
+
+after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Create a project directory with a quapp.config.json
+ * @param {string} text - File contents
+ * @returns {string} Directory path
+ */
+function project(text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quapp-config-'));
+  dirs.push(dir);
+  fs.writeFileSync(path.join(dir, 'quapp.config.json'), text);
+  return dir;
+}
+
+test('a config that does not parse is an error, not the defaults', async () => {
+  const dir = project('{ "manifest": { "packageName": "com.acme.pinned" }, }');
+  const loaded = await loadConfig(dir, { profile: 'staging', command: 'build' });
+  assert.deepEqual(getConfigErrors(loaded), [
+    `Invalid quapp.config.json at ${path.join(dir, 'quapp.config.json')}:1:53: Trailing comma before "}"`,
+  ]);
+  // The profile cannot be looked up in a file that did not load
+  assert.equal(loaded.profileError, null);
+});
+
+test('schema errors come before the merged-config checks', async () => {
+  const dir = project(JSON.stringify({ server: { prot: 1 }, manifest: { extra: { version: '2' } } }));
+  assert.deepEqual(getConfigErrors(await loadConfig(dir)), [
+    'Unknown key "server.prot" in quapp.config.json. Did you mean "port"?',
+  ]);
+});
+
+test('merged-config checks run on a schema-valid config', async () => {
+  const dir = project(JSON.stringify({ manifest: { extra: { version: '2' } }, api: { anonKey: 'k' } }));
+  assert.deepEqual(getConfigErrors(await loadConfig(dir)), [
+    '"manifest.extra.version" in quapp.config.json would override a generated field. Use the dedicated "manifest" option instead',
+    '"api" in quapp.config.json must have a "url"',
+  ]);
+});
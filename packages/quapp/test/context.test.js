@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep the developer's ~/.quapp (registries, credentials) out of the run
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'quapp-context-'));
+process.env.HOME = home;
+process.env.QUAPP_CREDENTIAL_STORE = 'plaintext';
+for (const name of ['QUAPP_API_URL', 'QUAPP_REGISTRY', 'QUAPP_FUNCTIONS_URL', 'QUAPP_TOKEN']) {
+  delete process.env[name];
+}
+const { initApiContext } = await import('../lib/context.js');
+const { getApi } = await import('../lib/api.js');
+const { initLogger } = await import('../lib/logger.js');
+
+before(() => {
+  initLogger({ embedded: true });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * Create a project directory with a quapp.config.json
+ * @param {string|Object} config - File contents, or an object to serialize
+ * @returns {string} Directory path
+ */
+function project(config) {
+  const dir = fs.mkdtempSync(path.join(home, 'project-'));
+  const text = typeof config === 'string' ? config : JSON.stringify(config);
+  fs.writeFileSync(path.join(dir, 'quapp.config.json'), text);
+  return dir;
+}
+
+test('errors outside registry, api and authProfile do not stop store commands', async () => {
+  const cwd = project({ server: { prot: 1 }, api: { url: 'https://staging.example.com' } });
+  const result = await initApiContext({ command: 'whoami', cwd });
+  assert.equal(result.success, true, result.error);
+  assert.equal(getApi().url, 'https://staging.example.com');
+});
+
+test('invalid api settings stop store commands', async () => {
+  const cwd = project({ api: { url: 5 } });
+  const result = await initApiContext({ command: 'promote', cwd });
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'INVALID_CONFIG');
+  assert.match(result.error, /api\.url/);
+});
+
+test('a config that does not load stops store commands', async () => {
+  const cwd = project('{ "registry": "staging", }');
+  const result = await initApiContext({ command: 'publish', cwd });
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'INVALID_CONFIG');
+  assert.match(result.error, /Trailing comma/);
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep the developer's ~/.quapp credentials out of the run
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'quapp-credentials-'));
+process.env.HOME = home;
+process.env.QUAPP_CREDENTIAL_STORE = 'encrypted';
+process.env.QUAPP_CREDENTIALS_PASSPHRASE = 'test-passphrase';
+const { getCredentialStore, migratePlaintextCredentials } = await import('../lib/credential-store.js');
+const { initLogger } = await import('../lib/logger.js');
+const { CREDENTIALS_PATH, ENCRYPTED_CREDENTIALS_PATH, QUAPP_DIR } = await import('../lib/constants.js');
+
+const warnings = [];
+const UNMIGRATED_PATH = `${CREDENTIALS_PATH}.unmigrated`;
+
+before(() => {
+  initLogger({ embedded: true, sink: { warn: (message) => warnings.push(message) } });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * Start from an empty ~/.quapp with a plaintext credentials file
+ * @param {string} contents
+ */
+function writePlaintext(contents) {
+  fs.rmSync(QUAPP_DIR, { recursive: true, force: true });
+  fs.mkdirSync(QUAPP_DIR, { recursive: true });
+  fs.writeFileSync(CREDENTIALS_PATH, contents, { mode: 0o600 });
+  warnings.length = 0;
+}
+
+test('plaintext credentials move into an empty store', () => {
+  writePlaintext(JSON.stringify({ session: 'old' }));
+  const store = getCredentialStore();
+  migratePlaintextCredentials(store);
+
+  assert.deepEqual(store.load(), { session: 'old' });
+  assert.equal(fs.existsSync(CREDENTIALS_PATH), false);
+  assert.deepEqual(warnings, []);
+});
+
+test('a file the occupied store cannot take is set aside with one warning', () => {
+  writePlaintext(JSON.stringify({ session: 'old' }));
+  const store = getCredentialStore();
+  store.save({ session: 'current' });
+
+  migratePlaintextCredentials(store);
+  migratePlaintextCredentials(store);
+
+  assert.deepEqual(store.load(), { session: 'current' });
+  assert.equal(fs.existsSync(CREDENTIALS_PATH), false);
+  assert.deepEqual(JSON.parse(fs.readFileSync(UNMIGRATED_PATH, 'utf-8')), { session: 'old' });
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /already holds credentials\. Renamed it to .*credentials\.json\.unmigrated/);
+});
+
+test('an unreadable file is set aside without replacing an earlier one', () => {
+  writePlaintext('{ not json');
+  fs.writeFileSync(UNMIGRATED_PATH, 'earlier');
+
+  migratePlaintextCredentials(getCredentialStore());
+
+  assert.equal(fs.readFileSync(UNMIGRATED_PATH, 'utf-8'), 'earlier');
+  const renamed = fs.readdirSync(QUAPP_DIR).filter((name) => name.startsWith('credentials.json.unmigrated.'));
+  assert.equal(renamed.length, 1);
+  assert.equal(fs.existsSync(ENCRYPTED_CREDENTIALS_PATH), false);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /could not be read/);
+});
@@ -0,0 +1,153 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import http from 'http';
+import path from 'path';
+
+// Keep the developer's ~/.quapp/registries.json out of API resolution
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'quapp-device-'));
+process.env.HOME = home;
+delete process.env.QUAPP_API_URL;
+delete process.env.QUAPP_REGISTRY;
+const { initApi } = await import('../lib/api.js');
+const { initLogger } = await import('../lib/logger.js');
+const { requestDeviceCode, waitForApproval } = await import('../lib/device-auth.js');
+
+const APPROVED = {
+  status: 'approved',
+  session: { access_token: 'access', refresh_token: 'refresh', expires_at: 2000000000 },
+  user: { id: 'user_1', email: 'dev@example.com' },
+};
+
+// Local fake of cli-device-code and cli-device-token. Each device code
+// answers with its script of responses in turn, repeating the last one.
+const scripts = {};
+const polls = {};
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', (chunk) => (raw += chunk));
+  req.on('end', () => {
+    const body = JSON.parse(raw);
+    let status = 200;
+    let payload;
+
+    if (req.url === '/cli-device-code') {
+      payload = {
+        device_code: `device-${body.client}`,
+        user_code: 'ABCD-EFGH',
+        verification_uri: 'https://store.example.com/device',
+        interval: 2,
+        expires_in: 300,
+      };
+    } else {
+      const log = (polls[body.device_code] ||= []);
+      log.push(Date.now());
+      const script = scripts[body.device_code];
+      [status, payload] = script[Math.min(log.length, script.length) - 1];
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  });
+});
+
+/**
+ * Poll a scripted device code
+ * @param {string} deviceCode
+ * @param {Array<[number, Object]>} script - [status, body] per poll
+ * @param {Object} [timing] - { interval, expiresIn } in seconds
+ * @returns {Promise<Object>}
+ */
+function poll(deviceCode, script, { interval = 0.01, expiresIn = 5 } = {}) {
+  scripts[deviceCode] = script;
+  return waitForApproval({ deviceCode, interval, expiresIn });
+}
+
+before(async () => {
+  initLogger({ embedded: true });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.QUAPP_FUNCTIONS_URL = `http://127.0.0.1:${server.address().port}`;
+  initApi();
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('requestDeviceCode returns the code and falls back for missing fields', async () => {
+  const device = await requestDeviceCode();
+  assert.deepEqual(device, {
+    deviceCode: 'device-quapp-cli',
+    userCode: 'ABCD-EFGH',
+    verificationUri: 'https://store.example.com/device',
+    verificationUriComplete: 'https://store.example.com/device',
+    interval: 2,
+    expiresIn: 300,
+  });
+});
+
+test('pending polls continue until the code is approved', async () => {
+  const result = await poll('pending', [
+    [200, { status: 'pending' }],
+    [200, { status: 'pending' }],
+    [200, APPROVED],
+  ]);
+  assert.deepEqual(result, { session: APPROVED.session, user: APPROVED.user });
+  assert.equal(polls.pending.length, 3);
+});
+
+test('slow_down adds 5 seconds to the polling interval', async () => {
+  await poll('slow', [
+    [200, { status: 'slow_down' }],
+    [200, APPROVED],
+  ]);
+  const [first, second] = polls.slow;
+  assert.ok(second - first >= 4900, `polled again after ${second - first}ms`);
+});
+
+test('a denied login stops polling', async () => {
+  await assert.rejects(
+    poll('denied', [
+      [200, { status: 'pending' }],
+      [200, { status: 'denied' }],
+    ]),
+    { code: 'access_denied' }
+  );
+  assert.equal(polls.denied.length, 2);
+});
+
+test('an expired code stops polling', async () => {
+  await assert.rejects(poll('expired', [[200, { status: 'expired' }]]), { code: 'expired_token' });
+  assert.equal(polls.expired.length, 1);
+});
+
+test('polling gives up when the code expires while pending', async () => {
+  await assert.rejects(
+    poll('timeout', [[200, { status: 'pending' }]], { interval: 0.05, expiresIn: 0.3 }),
+    { code: 'expired_token' }
+  );
+});
+
+test('network and server errors are retried until approval', async () => {
+  const result = await poll('flaky', [
+    [503, { error: 'unavailable' }],
+    [429, { error: 'rate_limited' }],
+    [200, APPROVED],
+  ]);
+  assert.equal(result.user.id, 'user_1');
+  assert.equal(polls.flaky.length, 3);
+});
+
+test('client errors are not retried', async () => {
+  await assert.rejects(poll('invalid', [[400, { error: 'invalid_request', message: 'Unknown device code' }]]), {
+    message: 'Unknown device code',
+  });
+  assert.equal(polls.invalid.length, 1);
+});
+
+test('an approval without a session is rejected', async () => {
+  await assert.rejects(poll('broken', [[200, { status: 'approved' }]]), /Invalid response from cli-device-token/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkVersion, encodeVersionCode, validateManifest } from '../lib/manifest.js';
+import { MAX_VERSION_CODE } from '../lib/constants.js';
+
+test('encodeVersionCode lays out major, minor, patch and the release slot', () => {
+  assert.equal(encodeVersionCode('1.2.3'), 100200399);
+  assert.equal(encodeVersionCode('0.0.0'), 99);
+});
+
+test('encodeVersionCode keeps versions that collided in the old scheme apart', () => {
+  assert.notEqual(encodeVersionCode('1.0.100'), encodeVersionCode('1.1.0'));
+});
+
+test('encodeVersionCode orders versions', () => {
+  const ordered = ['0.9.999', '1.0.0', '1.0.1', '1.0.100', '1.1.0', '2.0.0'];
+  const codes = ordered.map(encodeVersionCode);
+  assert.deepEqual([...codes].sort((a, b) => a - b), codes);
+  assert.equal(new Set(codes).size, codes.length);
+});
+
+test('encodeVersionCode fits the largest version in a 32-bit version_code', () => {
+  assert.equal(encodeVersionCode('20.999.999'), 2099999999);
+  assert.ok(encodeVersionCode('20.999.999') <= MAX_VERSION_CODE);
+});
+
+test('encodeVersionCode rejects versions above the limits', () => {
+  assert.throws(() => encodeVersionCode('21.0.0'), /major versions above 20 do not fit/);
+  assert.throws(() => encodeVersionCode('1.1000.0'), /minor exceeds 999/);
+  assert.throws(() => encodeVersionCode('1.0.1000'), /patch exceeds 999/);
+});
+
+test('encodeVersionCode rejects strings that are not versions', () => {
+  for (const version of ['', '1.0', 'v1.0.0', '1.0.0-beta.1', '1.0.0+build.1', undefined]) {
+    assert.throws(() => encodeVersionCode(version), /Cannot derive version_code from version/, String(version));
+  }
+});
+
+test('checkVersion accepts only the x.y.z versions the store accepts', () => {
+  assert.equal(checkVersion('1.2.3'), null);
+  assert.equal(checkVersion(undefined), null);
+  assert.match(checkVersion('1.2.0-beta.1'), /Prerelease version "1.2.0-beta.1" cannot be published/);
+  assert.match(checkVersion('1.2'), /Invalid version "1.2"/);
+});
+
+test('validateManifest rejects prerelease versions', () => {
+  const manifest = { package_name: 'com.acme.demo', version: '1.2.0-rc.1', version_code: 1, entry_point: 'index.html' };
+  assert.deepEqual(validateManifest(manifest), [
+    'Invalid version format. Must be x.y.z (e.g., 1.0.0); prerelease versions are not accepted',
+  ]);
+});
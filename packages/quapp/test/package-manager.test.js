@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execSync } from 'child_process';
+import { getRunCommand } from '../lib/package-manager.js';
+
+const npm = { name: 'npm', run: 'npm run' };
+const pnpm = { name: 'pnpm', run: 'pnpm run' };
+
+test('getRunCommand passes arguments on to the script', () => {
+  assert.equal(getRunCommand(npm, 'build'), 'npm run build');
+  assert.equal(getRunCommand(npm, 'build', ['--mode', 'staging']), 'npm run build -- --mode staging');
+  assert.equal(getRunCommand(pnpm, 'build', ['--mode', 'staging']), 'pnpm run build --mode staging');
+});
+
+test('getRunCommand quotes arguments for the shell', { skip: process.platform === 'win32' }, () => {
+  const mode = "qa; echo injected $(id) 'x'";
+  // A stand-in manager whose "run" prints the arguments it receives
+  const echo = { name: 'echo', run: `node -e "console.log(JSON.stringify(process.argv.slice(1)))"` };
+  const output = execSync(getRunCommand(echo, 'build', ['--mode', mode]), { encoding: 'utf-8' });
+  assert.deepEqual(JSON.parse(output), ['build', '--mode', mode]);
+});
@@ -0,0 +1,85 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// ~/.quapp is resolved when constants.js loads, so point HOME at a scratch directory first
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'quapp-registry-'));
+process.env.HOME = home;
+const { resolveApi, getRegistry, writeRegistries } = await import('../lib/registry.js');
+const { SUPABASE_URL } = await import('../lib/constants.js');
+
+const ENV_KEYS = ['QUAPP_API_URL', 'QUAPP_REGISTRY', 'QUAPP_FUNCTIONS_URL', 'QUAPP_ANON_KEY'];
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) delete process.env[key];
+  writeRegistries({
+    current: null,
+    registries: {
+      staging: { url: 'https://staging.example.com/', anonKey: 'staging-key' },
+      local: { url: 'http://127.0.0.1:54321', anonKey: 'local-key', functionsUrl: 'http://127.0.0.1:9000' },
+    },
+  });
+});
+
+test('resolveApi defaults to the production registry', () => {
+  const api = resolveApi();
+  assert.equal(api.name, 'production');
+  assert.equal(api.url, SUPABASE_URL);
+  assert.equal(api.functionsUrl, `${SUPABASE_URL}/functions/v1`);
+  assert.equal(api.source, 'default');
+});
+
+test('resolveApi takes the first source that sets a URL or registry', () => {
+  const config = { api: { url: 'https://config.example.com' }, registry: 'local' };
+  process.env.QUAPP_REGISTRY = 'staging';
+  process.env.QUAPP_API_URL = 'https://env.example.com';
+
+  assert.equal(resolveApi({ apiUrl: 'https://flag.example.com', registry: 'local', config }).source, '--api-url');
+  assert.equal(resolveApi({ registry: 'local', config }).source, '--registry');
+  assert.equal(resolveApi({ config }).source, 'QUAPP_API_URL');
+
+  delete process.env.QUAPP_API_URL;
+  assert.equal(resolveApi({ config }).name, 'staging');
+
+  delete process.env.QUAPP_REGISTRY;
+  assert.equal(resolveApi({ config }).url, 'https://config.example.com');
+  assert.equal(resolveApi({ config: { registry: 'local' } }).name, 'local');
+});
+
+test('resolveApi falls back to the current registry from registries.json', () => {
+  writeRegistries({ current: 'staging', registries: { staging: { url: 'https://staging.example.com' } } });
+  const api = resolveApi();
+  assert.equal(api.name, 'staging');
+  assert.equal(api.source, 'registries.json');
+});
+
+test('resolveApi trims trailing slashes and derives the functions URL', () => {
+  const api = resolveApi({ registry: 'staging' });
+  assert.equal(api.url, 'https://staging.example.com');
+  assert.equal(api.functionsUrl, 'https://staging.example.com/functions/v1');
+  assert.equal(api.anonKey, 'staging-key');
+});
+
+test('QUAPP_FUNCTIONS_URL applies to implicit sources only', () => {
+  process.env.QUAPP_FUNCTIONS_URL = 'http://127.0.0.1:8000/';
+  assert.equal(resolveApi().functionsUrl, 'http://127.0.0.1:8000');
+
+  process.env.QUAPP_REGISTRY = 'staging';
+  assert.equal(resolveApi().functionsUrl, 'http://127.0.0.1:8000');
+
+  assert.equal(resolveApi({ registry: 'staging' }).functionsUrl, 'https://staging.example.com/functions/v1');
+  assert.equal(resolveApi({ apiUrl: 'https://flag.example.com' }).functionsUrl, 'https://flag.example.com/functions/v1');
+  assert.equal(resolveApi({ registry: 'local' }).functionsUrl, 'http://127.0.0.1:9000');
+});
+
+test('resolveApi rejects unknown registries and object property names', () => {
+  assert.throws(() => resolveApi({ registry: 'missing' }), /Unknown registry "missing" \(from --registry\)/);
+  for (const name of ['constructor', 'toString', '__proto__']) {
+    assert.equal(getRegistry(name), null, name);
+    assert.throws(() => resolveApi({ registry: name }), /Unknown registry/, name);
+  }
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfigSchema, locateJsonError, suggest, getConfigSchema } from '../lib/schema.js';
+import {
+  VISIBILITY_OPTIONS,
+  RELEASE_CHANNELS,
+  PACKAGE_MANAGERS,
+  PACKAGE_NAME_PATTERN,
+  MAX_VERSION_CODE,
+} from '../lib/constants.js';
+
+test('a valid config has no errors', () => {
+  const config = {
+    $schema: './node_modules/quapp/schema/quapp.config.schema.json',
+    server: { port: 4000, network: 'local' },
+    build: { outDir: 'build', include: ['assets'], exclude: ['*.map'] },
+    manifest: { packageName: 'com.example.app', entryPoint: 'app/index.html', permissions: ['camera'] },
+    publish: { visibility: 'unlisted', channel: 'beta', rollout: 10 },
+    env: { API_URL: 'https://example.com' },
+    api: { url: 'http://127.0.0.1:54321' },
+    profiles: { staging: { manifest: { packageNameSuffix: '.staging' }, registry: 'staging' } },
+  };
+  assert.deepEqual(validateConfigSchema(config), []);
+});
+
+test('unknown keys are reported with a suggestion', () => {
+  assert.deepEqual(validateConfigSchema({ server: { prot: 4000 } }), [
+    'Unknown key "server.prot" in quapp.config.json. Did you mean "port"?',
+  ]);
+  assert.match(validateConfigSchema({ zzz: 1 })[0], /^Unknown key "zzz" in quapp.config.json\. Valid keys: server, build/);
+});
+
+test('wrong types, enums and ranges get one message each', () => {
+  assert.deepEqual(
+    validateConfigSchema({
+      server: { qr: 'yes', port: 70000, network: 'privat' },
+      publish: { rollout: 0 },
+      manifest: { permissions: ['camera', 'camra'] },
+      packageManager: 7,
+    }),
+    [
+      '"server.port" in quapp.config.json must be an integer from 1 to 65535',
+      '"server.qr" in quapp.config.json must be a boolean (true or false), got "yes"',
+      'Invalid "server.network" in quapp.config.json: "privat". Did you mean "private"?',
+      'Invalid "manifest.permissions[1]" in quapp.config.json: "camra". Did you mean "camera"?',
+      '"publish.rollout" in quapp.config.json must be an integer from 1 to 100',
+      '"packageManager" in quapp.config.json must be a string, got 7',
+    ]
+  );
+});
+
+test('patterns explain what is expected', () => {
+  assert.deepEqual(validateConfigSchema({ manifest: { packageName: 'MyApp' } }), [
+    'Invalid "manifest.packageName" in quapp.config.json: "MyApp". Must be lowercase with 3+ segments (e.g., com.company.app)',
+  ]);
+  for (const entryPoint of ['/index.html', 'C:/app/index.html', '../index.html', 'app/../../index.html']) {
+    assert.match(
+      validateConfigSchema({ manifest: { entryPoint } })[0],
+      /Must be a path relative to the build output directory$/,
+      entryPoint
+    );
+  }
+  assert.deepEqual(validateConfigSchema({ manifest: { entryPoint: '' } }), [
+    '"manifest.entryPoint" in quapp.config.json must not be empty',
+  ]);
+});
+
+test('profiles are checked with the same rules', () => {
+  assert.deepEqual(validateConfigSchema({ profiles: { beta: { publish: { channel: 'nightly' } } } }), [
+    'Invalid "profiles.beta.publish.channel" in quapp.config.json: "nightly". Must be: beta, stable',
+  ]);
+});
+
+test('the root must be an object', () => {
+  assert.deepEqual(validateConfigSchema([]), ['quapp.config.json must contain a JSON object']);
+  assert.deepEqual(validateConfigSchema(null, 'quapp.config.ts'), ['quapp.config.ts must export an object']);
+  assert.deepEqual(validateConfigSchema('x', 'config overrides'), ['config overrides must be an object']);
+});
+
+test('constants used outside the config match the schema', () => {
+  const { definitions } = getConfigSchema();
+  assert.deepEqual(definitions.publish.properties.visibility.enum, VISIBILITY_OPTIONS);
+  assert.deepEqual(definitions.publish.properties.channel.enum, RELEASE_CHANNELS);
+  assert.deepEqual(definitions.packageManager.enum, PACKAGE_MANAGERS);
+  assert.equal(definitions.manifest.properties.packageName.pattern, PACKAGE_NAME_PATTERN.source);
+  assert.equal(definitions.manifest.properties.versionCode.maximum, MAX_VERSION_CODE);
+});
+
+test('suggest returns close matches only', () => {
+  assert.equal(suggest('outdir', ['outDir', 'outputFile']), 'outDir');
+  assert.equal(suggest('banana', ['port', 'qr']), null);
+});
+
+/**
+ * locateJsonError() for a document written as lines
+ * @param {...string} lines
+ * @returns {Object|null}
+ */
+function locate(...lines) {
+  return locateJsonError(lines.join('\n'));
+}
+
+test('locateJsonError returns null for valid JSON', () => {
+  assert.equal(locate('{', '  "server": { "port": 4000 },', '  "list": [1, -2.5e3, true, null, "a\\"b"]', '}'), null);
+});
+
+test('locateJsonError reports line and column of common mistakes', () => {
+  assert.deepEqual(locate('{', '  "server": {', '    "port": 4000,', '  }', '}'), {
+    message: 'Trailing comma before "}"',
+    line: 4,
+    column: 3,
+  });
+  assert.deepEqual(locate('{ "permissions": ["camera",] }'), {
+    message: 'Trailing comma before "]"',
+    line: 1,
+    column: 28,
+  });
+  assert.deepEqual(locate('{', '  // dev server', '  "server": {}', '}'), {
+    message: 'Comments are not allowed in JSON',
+    line: 2,
+    column: 3,
+  });
+  assert.deepEqual(locate('{', "  'mode': 'staging'", '}'), {
+    message: 'Expected a double-quoted property name',
+    line: 2,
+    column: 3,
+  });
+  assert.deepEqual(locate('{ "mode": \'staging\' }'), {
+    message: 'Strings must use double quotes',
+    line: 1,
+    column: 11,
+  });
+  assert.deepEqual(locate('{', '  "a": 1', '  "b": 2', '}'), {
+    message: 'Expected "," or "}" after property value',
+    line: 3,
+    column: 3,
+  });
+  assert.deepEqual(locate('{ "a" 1 }'), { message: 'Expected ":" after property name', line: 1, column: 7 });
+});
+
+test('locateJsonError reports unterminated documents', () => {
+  assert.deepEqual(locate('{', '  "mode": "staging', '}'), { message: 'Unterminated string', line: 2, column: 19 });
+  assert.deepEqual(locate('{ "a": '), { message: 'Unexpected end of file', line: 1, column: 8 });
+  assert.deepEqual(locate('{}', '{}'), {
+    message: 'Unexpected content after the end of the JSON document',
+    line: 2,
+    column: 1,
+  });
+});
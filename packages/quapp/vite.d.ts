@@ -0,0 +1,23 @@
+/**
+ * Type definitions for quapp/vite
+ */
+
+import type { Plugin } from 'vite';
+import type { QuappConfig } from './index';
+
+export interface QuappPluginOptions {
+  /** Directory containing package.json and quapp.config.* (default: the vite.config.* directory) */
+  cwd?: string;
+  /** Profile from quapp.config.* to apply */
+  profile?: string;
+  /** Config deep-merged over quapp.config.* and the selected profile */
+  config?: QuappConfig;
+  /** .qpp file name, relative to cwd (default: build.outputFile) */
+  outputFile?: string;
+  /** Create a byte-identical archive (default: build.reproducible or SOURCE_DATE_EPOCH) */
+  reproducible?: boolean;
+}
+
+/** Emit manifest.json and write a .qpp on `vite build` */
+export default function quapp(options?: QuappPluginOptions): Plugin;
+export { quapp };
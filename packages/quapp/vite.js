@@ -0,0 +1,160 @@
+/**
+ * quapp/vite - Package `vite build` output as .qpp
+ *
+ *   import { defineConfig } from 'vite';
+ *   import quapp from 'quapp/vite';
+ *
+ *   export default defineConfig({ plugins: [quapp()] });
+ *
+ * Reads quapp.config.* like `quapp build`, emits manifest.json with the bundle
+ * and writes the .qpp once Vite has written its output directory, running the
+ * prepackage and postbuild hooks around it. Builds run
+ * by `quapp build` (QUAPP_BUILD is set) are left to the CLI.
+ *
+ * Types are declared in vite.d.ts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, loadPackageJson, getConfigErrors } from './lib/config.js';
+import { checkVersion, generateManifestFromConfig, stringifyManifest } from './lib/manifest.js';
+import { writeQpp, selectFiles } from './lib/archive.js';
+import { runHook, getHookEnv } from './lib/hooks.js';
+import { PACKAGE_NAME_PATTERN } from './lib/constants.js';
+
+/**
+ * Create the Quapp Vite plugin
+ * @param {import('./vite').QuappPluginOptions} [options]
+ * @returns {import('vite').Plugin}
+ */
+export default function quapp(options = {}) {
+  let viteConfig = null;
+  let root = null;
+  let enabled = false;
+  let config = null;
+  let manifest = null;
+
+  return {
+    name: 'quapp',
+    apply: 'build',
+
+    configResolved(resolved) {
+      viteConfig = resolved;
+      // quapp.config.* sits next to vite.config.*, which may differ from Vite's root
+      root = path.resolve(
+        options.cwd || (resolved.configFile ? path.dirname(resolved.configFile) : resolved.root)
+      );
+      enabled = !process.env.QUAPP_BUILD && !resolved.build.ssr && resolved.build.write !== false;
+    },
+
+    async buildStart() {
+      if (!enabled) return;
+
+      const loaded = await loadConfig(root, {
+        profile: options.profile || null,
+        command: 'build',
+        overrides: options.config || null,
+      });
+      if (loaded.profileError) {
+        this.error(loaded.profileError);
+      }
+      const configErrors = getConfigErrors(loaded);
+      if (configErrors.length > 0) {
+        this.error(configErrors.join('\n'));
+      }
+
+      const pkgResult = loadPackageJson(root);
+      if (!pkgResult.success) {
+        this.error(pkgResult.error);
+      }
+      if (pkgResult.missingFields.includes('name')) {
+        this.error('Missing required field "name" in package.json');
+      }
+
+      const versionError = checkVersion(pkgResult.package.version);
+      if (versionError) {
+        this.error(versionError);
+      }
+
+      try {
+        manifest = generateManifestFromConfig(pkgResult.package, loaded.config.manifest);
+      } catch (err) {
+        this.error(`${err.message}. Set "manifest.versionCode" in the quapp config`);
+      }
+      if (!PACKAGE_NAME_PATTERN.test(manifest.package_name)) {
+        this.error(
+          `Generated package_name "${manifest.package_name}" is not valid for publishing. ` +
+            'Pin it in the quapp config: "manifest": { "packageName": "com.company.app" }'
+        );
+      }
+      config = loaded.config;
+    },
+
+    generateBundle() {
+      if (!enabled) return;
+      this.emitFile({ type: 'asset', fileName: 'manifest.json', source: stringifyManifest(manifest) });
+    },
+
+    async closeBundle() {
+      if (!enabled || !manifest) return;
+
+      // Packaged from where Vite wrote the bundle, not config.build.outDir
+      const outDir = path.resolve(viteConfig.root, viteConfig.build.outDir);
+      if (!fs.existsSync(path.join(outDir, manifest.entry_point))) {
+        throw new Error(
+          `[quapp] Entry point "${manifest.entry_point}" not found in "${viteConfig.build.outDir}". ` +
+            'Set "manifest.entryPoint" in the quapp config to the built HTML file'
+        );
+      }
+
+      let outputFile = options.outputFile || config.build.outputFile;
+      if (!outputFile.endsWith('.qpp')) {
+        outputFile = `${outputFile}.qpp`;
+      }
+      const outputPath = path.resolve(root, outputFile);
+
+      // Same rules as quapp build: option, config, or implied by SOURCE_DATE_EPOCH
+      const reproducible =
+        options.reproducible ?? (config.build.reproducible === true || !!process.env.SOURCE_DATE_EPOCH);
+
+      const prepackageFailure = runHook('prepackage', {
+        cwd: root,
+        config,
+        vars: getHookEnv({ config, distDir: outDir, outputPath, manifest }),
+      });
+      if (prepackageFailure) {
+        throw new Error(`[quapp] ${prepackageFailure.error}`);
+      }
+
+      const { files, symlinks } = selectFiles(outDir, config.build);
+      if (symlinks.length > 0) {
+        viteConfig.logger.warn(`[quapp] Symlinks are not packaged: ${symlinks.join(', ')}`);
+      }
+      if (!files.some((file) => file.path === manifest.entry_point)) {
+        throw new Error(
+          `[quapp] Entry point "${manifest.entry_point}" is excluded by build.include / build.exclude`
+        );
+      }
+
+      const { size, sha256 } = await writeQpp(outDir, outputPath, {
+        files: files.map((file) => file.path),
+        reproducible,
+      });
+      viteConfig.logger.info(
+        `[quapp] Created ${path.relative(process.cwd(), outputPath) || outputFile} ` +
+          `(${(size / 1024).toFixed(1)} KB, SHA-256: ${sha256})`
+      );
+
+      const postbuildFailure = runHook('postbuild', {
+        cwd: root,
+        config,
+        vars: getHookEnv({ config, distDir: outDir, outputPath, manifest, qpp: { size, sha256 } }),
+      });
+      if (postbuildFailure) {
+        throw new Error(`[quapp] ${postbuildFailure.error}`);
+      }
+    },
+  };
+}
+
+export { quapp };